@@ -0,0 +1,159 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// verification of many posts at once, e.g. the posts of a POST_RESPONSE received while syncing. verifying a post's
+// signature is the most expensive part of handling it, so in nodejs the work can be spread across worker threads to
+// keep the event loop free. where worker threads are unavailable (e.g. in the browser) posts are verified
+// synchronously instead
+const b4a = require("b4a")
+const os = require("os")
+const cable = require("./index.js")
+const { InvalidArgumentError, WorkerExitError } = require("./errors.js")
+
+let workerThreads = null
+try {
+  workerThreads = require("worker_threads")
+} catch (e) {
+  // not running in nodejs: BatchVerifier falls back to verifying synchronously
+}
+
+// marks a worker thread as having been started by a BatchVerifier
+const WORKER_DATA = "cable.js/batch.js"
+
+// batches smaller than this are verified synchronously, as handing them to a worker costs more than verifying them
+const MIN_WORKER_BATCH = 16
+
+// takes an array of post buffers and returns an array of the same length, with true for each post whose signature was
+// made by its publicKey and false for all others (including items that are not buffers, and buffers that cannot be
+// verified at all)
+function verifyPosts (posts) {
+  if (!Array.isArray(posts)) { throw new InvalidArgumentError("expected posts to be an array", { field: "posts" }) }
+  return posts.map(post => {
+    try {
+      return b4a.isBuffer(post) && cable.verifyPost(post)
+    } catch (err) {
+      return false
+    }
+  })
+}
+
+// verifies batches of posts on a pool of worker threads, started when first needed. opts:
+// * workers: the amount of worker threads to use (defaults to one less than the amount of cpus, and at least 1). 0
+//   verifies all posts synchronously
+class BatchVerifier {
+  constructor(opts) {
+    opts = opts || {}
+    this.size = workerThreads ? defaultWorkerCount(opts.workers) : 0
+    this.workers = []
+    // pending batches keyed by id: { worker, resolve, reject }
+    this.pending = new Map()
+    this.nextId = 0
+    this.closed = false
+  }
+
+  // takes an array of post buffers and returns a promise of the array that verifyPosts(posts) would return
+  verify(posts) {
+    if (!Array.isArray(posts)) { return Promise.reject(new InvalidArgumentError("expected posts to be an array", { field: "posts" })) }
+    if (this.closed) { return Promise.reject(new InvalidArgumentError("expected verifier to not be closed")) }
+    if (this.size === 0 || posts.length < MIN_WORKER_BATCH) {
+      try {
+        return Promise.resolve(verifyPosts(posts))
+      } catch (err) {
+        return Promise.reject(err)
+      }
+    }
+    // 1. split the posts into one slice per worker
+    const count = Math.min(this.size, Math.ceil(posts.length / MIN_WORKER_BATCH))
+    const sliceSize = Math.ceil(posts.length / count)
+    const slices = []
+    for (let i = 0; i < posts.length; i += sliceSize) {
+      slices.push(posts.slice(i, i + sliceSize))
+    }
+    // 2. verify each slice on its own worker, and join the results in their original order
+    return Promise.all(slices.map((slice, i) => this._send(this._worker(i), slice)))
+      .then(results => [].concat(...results))
+  }
+
+  // terminates all worker threads. batches that are still being verified are rejected
+  close() {
+    this.closed = true
+    // workers that have failed leave empty slots behind
+    const workers = this.workers.filter(Boolean)
+    this.workers = []
+    return Promise.all(workers.map(worker => worker.terminate())).then(() => {})
+  }
+
+  _worker(i) {
+    if (!this.workers[i]) {
+      const worker = new workerThreads.Worker(__filename, { workerData: WORKER_DATA })
+      worker.on("message", ({ id, results }) => {
+        const batch = this.pending.get(id)
+        if (!batch) { return }
+        this.pending.delete(id)
+        this._release(worker)
+        batch.resolve(results)
+      })
+      worker.on("error", err => this._fail(worker, err))
+      worker.on("exit", () => this._fail(worker, new WorkerExitError("batch verification worker exited")))
+      // idle workers should not keep the process alive
+      worker.unref()
+      worker.pendingCount = 0
+      this.workers[i] = worker
+    }
+    return this.workers[i]
+  }
+
+  _send(worker, posts) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++
+      this.pending.set(id, { worker, resolve, reject })
+      // keep the process alive until the worker has responded
+      if (worker.pendingCount++ === 0) { worker.ref() }
+      worker.postMessage({ id, posts })
+    })
+  }
+
+  _release(worker) {
+    if (--worker.pendingCount === 0) { worker.unref() }
+  }
+
+  // rejects all batches pending on worker, which is replaced by a new worker when next needed
+  _fail(worker, err) {
+    const i = this.workers.indexOf(worker)
+    if (i !== -1) { this.workers[i] = undefined }
+    this.pending.forEach((batch, id) => {
+      if (batch.worker !== worker) { return }
+      this.pending.delete(id)
+      this._release(worker)
+      batch.reject(err)
+    })
+  }
+}
+
+function defaultWorkerCount (workers) {
+  if (workers !== undefined) {
+    if (!Number.isInteger(workers) || workers < 0) {
+      throw new InvalidArgumentError(`expected workers to be a non-negative integer; was ${workers}`, { field: "workers" })
+    }
+    return workers
+  }
+  const cpus = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length
+  return Math.max(1, cpus - 1)
+}
+
+// when running as a worker started by BatchVerifier: verify each batch of posts received
+if (workerThreads && !workerThreads.isMainThread && workerThreads.workerData === WORKER_DATA) {
+  workerThreads.parentPort.on("message", ({ id, posts }) => {
+    // buffers arrive as plain Uint8Arrays
+    const results = verifyPosts(posts.map(post => {
+      return post instanceof Uint8Array ? b4a.from(post.buffer, post.byteOffset, post.byteLength) : post
+    }))
+    workerThreads.parentPort.postMessage({ id, results })
+  })
+}
+
+module.exports = {
+  verifyPosts,
+  BatchVerifier
+}
@@ -0,0 +1,933 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// every message and post type is described as a list of fields (see index.js). this file contains the kinds of fields
+// a type can be made of, and generates each type's create() and toJSON() from its list of fields. encoding, decoding
+// and validation are thereby guaranteed to stay symmetric: adding or changing a type is a single edit to its fields
+const b4a = require("b4a")
+const varint = require("varint")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const validation = require("./validation.js")
+const text = require("./text.js")
+const { toHash } = require("./hash.js")
+const errors = require("./errors.js")
+const { ArgumentCountError, InvalidArgumentError, FieldRangeError, WrongTypeError, UnknownTypeError, TruncatedError } = errors
+const { LimitError, TrailingBytesError, Utf8Error, atOffset } = errors
+
+function bufferExpected (param, size) {
+  return new InvalidArgumentError(`expected ${param} to be a buffer of size ${size}`, { field: param })
+}
+function integerExpected (param) {
+  return new InvalidArgumentError(`expected ${param} to be an integer`, { field: param })
+}
+function stringExpected (param) {
+  return new InvalidArgumentError(`expected ${param} to be a string`, { field: param })
+}
+function utf8Expected (param) {
+  return new Utf8Error(`expected ${param} to be well-formed unicode, without lone surrogates`, { field: param })
+}
+function hashesExpected (param) {
+  return new InvalidArgumentError(`expected ${param} to contain an array of hash-sized buffers`, { field: param })
+}
+function listExpected (param, item) {
+  return new InvalidArgumentError(`expected ${param} to contain an array of ${item}s`, { field: param })
+}
+function ttlRangeExpected (param) {
+  return new FieldRangeError(`expected ttl to be between 0 and 16, was ${param}`, { field: "ttl" })
+}
+function typeExpected (kind, name, actual, offset) {
+  return new WrongTypeError(`decoded ${kind} (${actual}) is not of expected type (constants.${name})`, { field: kind, offset })
+}
+function valueExpected (param, expected, actual) {
+  return new WrongTypeError(`expected ${param} to be ${expected}, was ${actual}`, { field: param })
+}
+function wrongNumberArguments(count, actual, functionSignature) {
+ return new ArgumentCountError(`${functionSignature} expected ${count} arguments but received ${actual}`)
+}
+
+const EMPTY_CIRCUIT_ID = b4a.alloc(constants.CIRCUITID_SIZE).fill(0)
+
+/* FIELD KINDS */
+// each kind of field knows how to:
+// * isValid: check the type of a value passed to create() (and of a decoded value)
+// * expected: produce the error to throw when isValid fails
+// * prepare: convert a value to its wire representation (e.g. a string into its utf-8 bytes)
+// * encodingLength: count the bytes the wire representation takes up
+// * write: write the wire representation into a buffer at offset, returning the amount of bytes written
+// * read: read the wire representation from a buffer at offset, returning { value, bytes }. when decoding is hardened
+//   (see decodeLimits), lists are passed `max`: the maximum amount of items they may contain
+// * finish: convert the wire representation back into a value (e.g. utf-8 bytes into a string)
+// * toPortable, fromPortable: convert a value to and from its portable form, where binary values are represented as
+//   strings using an encoding of "hex" or "base64" (see toPortableJSON in index.js)
+
+// an unsigned integer, encoded as a varint. only safe integers are accepted, as larger numbers cannot be represented
+// exactly (nor decoded back into the same value)
+const VARINT = {
+  isValid: n => isInteger(n) && n >= 0 && Number.isSafeInteger(n),
+  expected: (param, n) => {
+    if (!isInteger(n)) { return integerExpected(param) }
+    return new FieldRangeError(`expected ${param} to be a non-negative safe integer; was ${n}`, { field: param })
+  },
+  prepare: n => n,
+  encodingLength: n => varintLength(n),
+  write: (n, buf, offset) => writeVarint(n, buf, offset),
+  read: (buf, offset) => {
+    const value = decodeVarintSlice(buf, offset)
+    return { value, bytes: varint.decode.bytes }
+  },
+  finish: n => n,
+  toPortable: n => n,
+  fromPortable: n => n
+}
+
+// a buffer of a fixed size (e.g. a reqid), encoded as-is
+function fixedBytes (size) {
+  return {
+    isValid: b => isBufferSize(b, size),
+    expected: param => bufferExpected(param, size),
+    prepare: b => b,
+    encodingLength: () => size,
+    write: (b, buf, offset) => b.copy(buf, offset),
+    read: (buf, offset) => ({ value: readBytes(buf, offset, size), bytes: size }),
+    finish: b => b,
+    toPortable: bytesToPortable,
+    fromPortable: bytesFromPortable
+  }
+}
+
+// a buffer of any size, encoded with its length as a varint prefix
+const DATA = {
+  isValid: b => b4a.isBuffer(b),
+  expected: param => new InvalidArgumentError(`expected ${param} to be a buffer`, { field: param }),
+  prepare: b => b,
+  encodingLength: b => varintLength(b.length) + b.length,
+  write: (b, buf, offset) => {
+    const lenBytes = writeVarint(b.length, buf, offset)
+    return lenBytes + b.copy(buf, offset + lenBytes)
+  },
+  read: (buf, offset) => {
+    const len = decodeVarintSlice(buf, offset)
+    const lenBytes = varint.decode.bytes
+    return { value: readBytes(buf, offset + lenBytes, len), bytes: lenBytes + len }
+  },
+  finish: b => b,
+  toPortable: bytesToPortable,
+  fromPortable: bytesFromPortable
+}
+
+// a string, encoded as its utf-8 bytes with their length as a varint prefix. create() normalizes strings to NFC, while
+// decoding rejects invalid utf-8 but keeps strings as they were encoded (re-encoding must not change a signed post)
+const STRING = Object.assign({}, DATA, {
+  isValid: s => isString(s) && text.isWellFormed(s),
+  expected: (param, s) => isString(s) ? utf8Expected(param) : stringExpected(param),
+  normalize: s => isString(s) ? s.normalize("NFC") : s,
+  // convert to buf: yields correct length wrt utf-8 bytes + used when copying
+  prepare: s => b4a.from(s, "utf8"),
+  finish: text.decodeUtf8,
+  toPortable: s => s,
+  fromPortable: s => s
+})
+
+// a list of hashes, encoded as the amount of hashes (varint) followed by the hashes themselves
+const HASHES = {
+  isValid: isArrayHashes,
+  expected: hashesExpected,
+  // create() also takes PostRefs, in place of their hashes
+  normalize: hashes => Array.isArray(hashes) ? hashes.map(toHash) : hashes,
+  prepare: hashes => hashes,
+  encodingLength: hashes => hashListLength(hashes),
+  write: (hashes, buf, offset) => {
+    let bytes = writeVarint(hashes.length, buf, offset)
+    hashes.forEach(hash => {
+      bytes += hash.copy(buf, offset + bytes)
+    })
+    return bytes
+  },
+  read: (buf, offset, max) => {
+    const count = decodeVarintSlice(buf, offset)
+    let bytes = varint.decode.bytes
+    if (max !== undefined && count > max) { throw limitExceeded("hashes", max, count) }
+    // check the count against the remaining bytes before reading any hashes
+    if (count > (buf.length - offset - bytes) / constants.HASH_SIZE) {
+      throw new TruncatedError(`expected ${count} hashes, but the buffer ends before that`)
+    }
+    const hashes = []
+    for (let i = 0; i < count; i++) {
+      hashes.push(readBytes(buf, offset + bytes, constants.HASH_SIZE))
+      bytes += constants.HASH_SIZE
+    }
+    return { value: hashes, bytes }
+  },
+  finish: hashes => hashes,
+  toPortable: (hashes, encoding) => hashes.map(hash => bytesToPortable(hash, encoding)),
+  fromPortable: (hashes, encoding) => portableArray(hashes).map(hash => bytesFromPortable(hash, encoding))
+}
+
+// a list of length-prefixed items (DATA or STRING), terminated by an item length of 0
+function terminatedList (item, itemName) {
+  return {
+    isValid: arr => Array.isArray(arr) && arr.every(item.isValid),
+    expected: param => listExpected(param, itemName),
+    normalize: arr => Array.isArray(arr) && item.normalize ? arr.map(item.normalize) : arr,
+    prepare: arr => arr.map(item.prepare),
+    encodingLength: arr => arr.reduce((sum, b) => sum + item.encodingLength(b), varintLength(0)),
+    write: (arr, buf, offset) => {
+      let bytes = 0
+      arr.forEach(b => {
+        bytes += item.write(b, buf, offset + bytes)
+      })
+      // finally: write a length of 0 to signal the end of the list
+      return bytes + writeVarint(0, buf, offset + bytes)
+    },
+    read: (buf, offset, max) => {
+      const arr = []
+      let bytes = 0
+      let terminated = false
+      // read until the terminating length of 0, or until the buffer runs out
+      while (offset + bytes < buf.length) {
+        const { value, bytes: itemBytes } = item.read(buf, offset + bytes)
+        bytes += itemBytes
+        if (value.length === 0) {
+          terminated = true
+          break
+        }
+        if (max !== undefined && arr.length === max) { throw limitExceeded(`${itemName}s`, max, arr.length + 1) }
+        arr.push(value)
+      }
+      // hardened decoding requires the terminating length of 0
+      if (max !== undefined && !terminated) {
+        throw new TruncatedError("expected list to be terminated by a length of 0, but the buffer ends before that")
+      }
+      return { value: arr, bytes }
+    },
+    finish: arr => arr.map(item.finish),
+    toPortable: (arr, encoding) => arr.map(v => item.toPortable(v, encoding)),
+    fromPortable: (arr, encoding) => portableArray(arr).map(v => item.fromPortable(v, encoding))
+  }
+}
+
+// a list of [key, value] pairs of strings, each encoded as two STRINGs, terminated by a key length of 0 (the value of a
+// pair may be empty, its key may not)
+const PAIRS = {
+  isValid: pairs => Array.isArray(pairs) && pairs.every(pair => {
+    return Array.isArray(pair) && pair.length === 2 && STRING.isValid(pair[0]) && STRING.isValid(pair[1])
+  }),
+  expected: param => new InvalidArgumentError(`expected ${param} to contain an array of [key, value] string pairs`, { field: param }),
+  normalize: pairs => Array.isArray(pairs) ? pairs.map(pair => Array.isArray(pair) ? pair.map(STRING.normalize) : pair) : pairs,
+  prepare: pairs => pairs.map(pair => pair.map(STRING.prepare)),
+  encodingLength: pairs => pairs.reduce((sum, [key, value]) => {
+    return sum + STRING.encodingLength(key) + STRING.encodingLength(value)
+  }, varintLength(0)),
+  write: (pairs, buf, offset) => {
+    let bytes = 0
+    pairs.forEach(([key, value]) => {
+      bytes += STRING.write(key, buf, offset + bytes)
+      bytes += STRING.write(value, buf, offset + bytes)
+    })
+    // finally: write a key length of 0 to signal the end of the list
+    return bytes + writeVarint(0, buf, offset + bytes)
+  },
+  read: (buf, offset, max) => {
+    const pairs = []
+    let bytes = 0
+    let terminated = false
+    // read until the terminating key length of 0, or until the buffer runs out
+    while (offset + bytes < buf.length) {
+      const key = STRING.read(buf, offset + bytes)
+      bytes += key.bytes
+      if (key.value.length === 0) {
+        terminated = true
+        break
+      }
+      if (max !== undefined && pairs.length === max) { throw limitExceeded("pairs", max, pairs.length + 1) }
+      const value = STRING.read(buf, offset + bytes)
+      bytes += value.bytes
+      pairs.push([key.value, value.value])
+    }
+    // hardened decoding requires the terminating key length of 0
+    if (max !== undefined && !terminated) {
+      throw new TruncatedError("expected list to be terminated by a key length of 0, but the buffer ends before that")
+    }
+    return { value: pairs, bytes }
+  },
+  finish: pairs => pairs.map(pair => pair.map(STRING.finish)),
+  toPortable: pairs => pairs.map(pair => pair.slice()),
+  fromPortable: pairs => portableArray(pairs).map(pair => portableArray(pair).slice())
+}
+
+const PORTABLE_ENCODINGS = ["hex", "base64"]
+
+function checkPortableEncoding (encoding) {
+  if (!PORTABLE_ENCODINGS.includes(encoding)) {
+    throw new InvalidArgumentError(`expected encoding to be one of ${PORTABLE_ENCODINGS.join(", ")}; was ${encoding}`, { field: "encoding" })
+  }
+}
+
+function bytesToPortable (b, encoding) {
+  return b4a.toString(b, encoding)
+}
+
+const PORTABLE_PATTERNS = {
+  hex: /^(?:[0-9a-fA-F]{2})*$/,
+  base64: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+}
+
+function bytesFromPortable (s, encoding) {
+  if (!isString(s) || !PORTABLE_PATTERNS[encoding].test(s)) {
+    throw new InvalidArgumentError(`expected portable binary value to be a ${encoding} encoded string`)
+  }
+  return b4a.from(s, encoding)
+}
+
+function portableArray (arr) {
+  if (!Array.isArray(arr)) { throw new InvalidArgumentError("expected portable list to be an array") }
+  return arr
+}
+
+/* FIELDS */
+// a field is a named value of some kind, optionally with a check of its wire representation that is run when both
+// encoding and decoding (e.g. validation.checkChannelName). list fields (hashes and lists) name the decode limit that
+// caps their amount of items when decoding is hardened (see DEFAULT_LIMITS). list fields take `opts`:
+// * check: run on each item of the list
+// * portable: overrides how items are converted to and from their portable form, as
+//   { toPortable(item, encoding), fromPortable(item, encoding) }
+// * limit: the name of the decode limit of the list
+// * normalize: converts each item passed to create() into the kind of the list's items (e.g. a PostRef into its buffer)
+const field = {
+  varint: (name, check) => ({ name, kind: VARINT, check }),
+  bytes: (name, size) => ({ name, kind: fixedBytes(size) }),
+  string: (name, check) => ({ name, kind: STRING, check }),
+  hashes: (name, limit) => ({ name, kind: HASHES, limit: limit || "maxHashes" }),
+  pairs: (name, check) => ({ name, kind: PAIRS, check }),
+  list: (name, item, opts) => {
+    opts = opts || {}
+    const itemName = item === STRING ? "string" : "buffer"
+    const overrides = Object.assign({}, opts.portable, opts.normalize ? { normalize: opts.normalize } : {})
+    const kind = terminatedList(Object.assign({}, item, overrides), itemName)
+    return { name, kind, check: opts.check ? (arr => arr.forEach(opts.check)) : undefined, limit: opts.limit }
+  }
+}
+// item kinds usable with field.list
+field.STRING = STRING
+field.DATA = DATA
+
+// fields shared by every message, preceding the fields specific to its type
+const REQID = field.bytes("reqid", constants.REQID_SIZE)
+// fields shared by every post, preceding the fields specific to its type
+const PUBLICKEY = field.bytes("publicKey", constants.PUBLICKEY_SIZE)
+const SECRETKEY = field.bytes("secretKey", constants.SECRETKEY_SIZE)
+const SIGNATURE = field.bytes("signature", constants.SIGNATURE_SIZE)
+const LINKS = field.hashes("links", "maxLinks")
+
+// the default limits of hardened decoding
+const DEFAULT_LIMITS = Object.freeze({
+  // the size of a message, including its msgLen
+  maxMessageBytes: constants.DECODE_MAX_MESSAGE_BYTES,
+  // the amount of hashes in a single hash list of a message or post (e.g. of a hash response or a post/delete)
+  maxHashes: constants.DECODE_MAX_HASHES,
+  // the amount of links of a post
+  maxLinks: constants.DECODE_MAX_LINKS,
+  // the amount of posts of a post response
+  maxPosts: constants.DECODE_MAX_POSTS,
+  // the amount of channels of a channel list response
+  maxChannels: constants.DECODE_MAX_CHANNELS
+})
+
+// returns the limits to decode with, or null if decoding is not hardened. decoding is hardened by passing opts as
+// { hardened: true }, or { limits } to override some of DEFAULT_LIMITS. hardened decoding:
+// * rejects messages and lists exceeding the limits
+// * rejects bytes following the last field of a message or post
+// * requires lists to be terminated by a length of 0, rather than by the end of the buffer
+function decodeLimits (opts) {
+  if (!opts || (!opts.hardened && opts.limits === undefined)) { return null }
+  const limits = Object.assign({}, DEFAULT_LIMITS, opts.limits)
+  Object.keys(limits).forEach(name => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, name)) {
+      throw new InvalidArgumentError(`expected limits to be one of ${Object.keys(DEFAULT_LIMITS).join(", ")}; was ${name}`, { field: "limits" })
+    }
+    const limit = limits[name]
+    if (limit !== Infinity && !(isInteger(limit) && limit >= 0)) {
+      throw new InvalidArgumentError(`expected ${name} to be a non-negative integer; was ${limit}`, { field: "limits" })
+    }
+  })
+  return limits
+}
+
+function limitExceeded (param, max, actual) {
+  return new LimitError(`expected at most ${max} ${param}; was ${actual}`)
+}
+
+// throws if bytes follow offset, the end of the last field, when decoding is hardened
+function checkTrailingBytes (buf, offset, limits) {
+  if (limits && offset !== buf.length) {
+    throw new TrailingBytesError(`expected no bytes after the last field; was ${buf.length - offset}`, { offset })
+  }
+}
+const TIMESTAMP = field.varint("timestamp")
+
+// throws if a value passed to create() is not of the kind of its field
+function checkType (f, value) {
+  if (!f.kind.isValid(value)) { throw f.kind.expected(f.name, value) }
+}
+
+// returns the value passed to create() for a field in its canonical form (e.g. strings normalized to NFC)
+function normalizeField (f, value) {
+  return f.kind.normalize ? f.kind.normalize(value) : value
+}
+
+// converts a value to its wire representation, running the field's check on it
+function prepareField (f, value) {
+  const prepared = f.kind.prepare(value)
+  if (f.check) { f.check(prepared) }
+  return prepared
+}
+
+// reads a field at offset, running the same checks as when encoding. returns { value, raw, bytes } where raw is the
+// wire representation of value. errors thrown are given the field's name and offset. `limits` is null unless decoding
+// is hardened (see decodeLimits)
+function readField (f, buf, offset, limits) {
+  try {
+    // lists without a limit of their own may contain any amount of items, but are still decoded as hardened
+    const max = limits ? (f.limit ? limits[f.limit] : Infinity) : undefined
+    const { value: raw, bytes } = f.kind.read(buf, offset, max)
+    const value = f.kind.finish(raw)
+    if (!f.kind.isValid(value)) { throw f.kind.expected(f.name, value) }
+    if (f.check) { f.check(raw) }
+    return { value, raw, bytes }
+  } catch (err) {
+    if (err instanceof errors.CableError && err.field === null) { err.field = f.name }
+    throw atOffset(err, offset)
+  }
+}
+
+// converts obj, as returned by toJSON(), to its portable form: the value of each key with a field in `fieldsByName` is
+// converted by its field's kind, all other values (e.g. msgLen, msgType, postType) are kept as-is
+function toPortable (fieldsByName, obj, opts) {
+  const encoding = (opts && opts.encoding) || "hex"
+  checkPortableEncoding(encoding)
+  const json = {}
+  Object.keys(obj).forEach(key => {
+    const f = fieldsByName[key]
+    json[key] = f ? f.kind.toPortable(obj[key], encoding) : obj[key]
+  })
+  return json
+}
+
+// the inverse of toPortable
+function fromPortable (fieldsByName, json, opts) {
+  const encoding = (opts && opts.encoding) || "hex"
+  checkPortableEncoding(encoding)
+  if (!json || typeof json !== "object") { throw new InvalidArgumentError("expected portable json to be an object") }
+  const obj = {}
+  Object.keys(json).forEach(key => {
+    const f = fieldsByName[key]
+    obj[key] = f ? f.kind.fromPortable(json[key], encoding) : json[key]
+  })
+  return obj
+}
+
+// generates a message type from its fields, which follow the fields shared by all messages: msgLen, msgType,
+// circuitid, reqid. create() takes reqid followed by a value for each field, in order, and toJSON() returns
+// { msgLen, msgType, reqid, ...fields }
+function message (name, msgType, fields) {
+  const args = [REQID].concat(fields)
+  const signature = `create(${args.map(f => f.name).join(", ")})`
+
+  // encodes the values of reqid and the rest of the fields, in order
+  function encode (values) {
+    args.forEach((f, i) => checkType(f, values[i]))
+    const prepared = args.map((f, i) => prepareField(f, values[i]))
+    // allocate a buffer of the exact size of the message (excluding msgLen, which is prepended last)
+    let size = varintLength(msgType) + constants.CIRCUITID_SIZE
+    args.forEach((f, i) => { size += f.kind.encodingLength(prepared[i]) })
+    const frame = b4a.alloc(size)
+    let offset = 0
+    // 1. write message type
+    offset += writeVarint(msgType, frame, offset)
+    // 2. write circuitid (unused spec rev 2023-04)
+    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
+    // 3. write reqid and the rest of the fields
+    args.forEach((f, i) => {
+      offset += f.kind.write(prepared[i], frame, offset)
+    })
+    return prependMsgLen(frame)
+  }
+
+  const portableFields = {}
+  args.forEach(f => { portableFields[f.name] = f })
+
+  return class {
+    static get schema() {
+      return { name, msgType, fields }
+    }
+
+    // takes an object as returned by toJSON() and returns its portable form, where binary values are strings encoded
+    // using opts.encoding ("hex", the default, or "base64")
+    static toPortableJSON(obj, opts) {
+      return toPortable(portableFields, obj, opts)
+    }
+
+    // the inverse of toPortableJSON(): returns an object identical to the one returned by toJSON()
+    static fromPortableJSON(json, opts) {
+      return fromPortable(portableFields, json, opts)
+    }
+
+    static create(...values) {
+      if (values.length !== args.length) { throw wrongNumberArguments(args.length, values.length, signature) }
+      return encode(values.map((value, i) => normalizeField(args[i], value)))
+    }
+
+    // takes an object as returned by toJSON() and encodes it into a message buffer
+    static encode(obj) {
+      if (obj.msgType !== undefined && obj.msgType !== msgType) { throw valueExpected("msgType", msgType, obj.msgType) }
+      return encode(args.map(f => obj[f.name]))
+    }
+
+    // takes a message buffer and returns the json object:
+    // { msgLen, msgType, reqid, ...fields }
+    // pass opts as { hardened: true } or { limits } to decode untrusted input with limits (see decodeLimits)
+    static toJSON(buf, opts) {
+      const limits = decodeLimits(opts)
+      // 1. get msgLen and msgType
+      const header = readMessageHeader(buf, limits)
+      if (header.msgType !== msgType) { throw typeExpected("msgType", name, header.msgType, header.msgTypeOffset) }
+      const msgLen = header.msgLen
+      let offset = header.offset
+      // 2. skip circuit (unused spec rev 2023-04)
+      offset += constants.CIRCUITID_SIZE
+      // 3. get reqid and the rest of the fields
+      const obj = { msgLen, msgType }
+      args.forEach(f => {
+        const { value, bytes } = readField(f, buf, offset, limits)
+        obj[f.name] = value
+        offset += bytes
+      })
+      checkTrailingBytes(buf, offset, limits)
+      return obj
+    }
+  }
+}
+
+// generates a post type from its fields, which follow the fields shared by all posts: publicKey, signature, links,
+// postType, timestamp. `args` lists the parameters of create() in order, by name, which include publicKey, secretKey,
+// links and timestamp. toJSON() returns { publicKey, signature, links, postType, ...args } (excluding secretKey).
+// the optional `check` is run on the wire representation of all fields, keyed by name, for requirements spanning
+// several fields
+function post (name, postType, args, fields, check) {
+  const fieldsByName = {}
+  ;[PUBLICKEY, SECRETKEY, LINKS, TIMESTAMP].concat(fields).forEach(f => { fieldsByName[f.name] = f })
+  const argFields = args.map(arg => fieldsByName[arg])
+  const signature = `create(${args.join(", ")})`
+  // the order of keys in the object returned by toJSON()
+  const keys = args.filter(arg => !["publicKey", "secretKey", "links"].includes(arg))
+
+  // encodes the values of all fields, keyed by name. if `sign` is true the post is signed with secretKey, otherwise
+  // obj.signature is used as the signature, which is verified unless `verify` is false
+  function encode (obj, secretKey, sign, verify) {
+    argFields.forEach(f => {
+      if (f !== SECRETKEY) {
+        checkType(f, obj[f.name])
+      } else if (sign) {
+        checkType(SECRETKEY, secretKey)
+      } else {
+        checkType(SIGNATURE, obj.signature)
+      }
+    })
+    const input = {}
+    argFields.forEach(f => {
+      if (f === SECRETKEY) { return }
+      input[f.name] = prepareField(f, obj[f.name])
+    })
+    if (check) { check(input) }
+
+    // allocate a buffer of the exact size of the post
+    let size = constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE + varintLength(postType)
+    ;[LINKS, TIMESTAMP].concat(fields).forEach(f => { size += f.kind.encodingLength(input[f.name]) })
+    const buf = b4a.alloc(size)
+    let offset = 0
+    // 1. write public key
+    offset += input.publicKey.copy(buf, 0)
+    // 2. make space for signature, which is done last of all.
+    offset += constants.SIGNATURE_SIZE
+    // 3. write links
+    offset += LINKS.kind.write(input.links, buf, offset)
+    // 4. write postType
+    offset += writeVarint(postType, buf, offset)
+    // 5. write timestamp and the rest of the fields
+    ;[TIMESTAMP].concat(fields).forEach(f => {
+      offset += f.kind.write(input[f.name], buf, offset)
+    })
+
+    // everything has now been written, time to make a signature (or use the one we were given)
+    if (sign) {
+      crypto.sign(buf, secretKey)
+    } else {
+      obj.signature.copy(buf, constants.PUBLICKEY_SIZE)
+    }
+    if (verify !== false) { validation.checkSignature(buf, input.publicKey) }
+
+    return buf
+  }
+
+  const portableFields = Object.assign({ signature: SIGNATURE }, fieldsByName)
+
+  return class {
+    static get schema() {
+      return { name, postType, args, fields }
+    }
+
+    // takes an object as returned by toJSON() and returns its portable form, where binary values are strings encoded
+    // using opts.encoding ("hex", the default, or "base64")
+    static toPortableJSON(obj, opts) {
+      return toPortable(portableFields, obj, opts)
+    }
+
+    // the inverse of toPortableJSON(): returns an object identical to the one returned by toJSON()
+    static fromPortableJSON(json, opts) {
+      return fromPortable(portableFields, json, opts)
+    }
+
+    static create(...values) {
+      if (values.length !== args.length) { throw wrongNumberArguments(args.length, values.length, signature) }
+      const obj = {}
+      args.forEach((arg, i) => { obj[arg] = normalizeField(argFields[i], values[i]) })
+      return encode(obj, obj.secretKey, true)
+    }
+
+    // takes an object as returned by toJSON() and encodes it into a post buffer. the post is signed using secretKey;
+    // if secretKey is omitted, the post's existing obj.signature is used instead (and verified, unless opts.verify is
+    // false, as for a post that was verified when it was decoded)
+    static encode(obj, secretKey, opts) {
+      if (obj.postType !== undefined && obj.postType !== postType) { throw valueExpected("postType", postType, obj.postType) }
+      return encode(obj, secretKey, secretKey !== undefined, !(opts && opts.verify === false))
+    }
+
+    // takes a post buffer and returns the json object: { publicKey, signature, links, postType, ...args }.
+    // the signature is verified unless opts.verify is false, which is useful when re-parsing posts that have already
+    // been verified (see verifyPost in index.js). opts may also harden decoding (see decodeLimits)
+    static toJSON(buf, opts) {
+      const limits = decodeLimits(opts)
+      // 1. get publicKey, signature, links and postType
+      const header = readPostHeader(buf, opts, limits)
+      if (header.postType !== postType) { throw typeExpected("postType", name, header.postType, header.postTypeOffset) }
+      const { publicKey, signature, links } = header
+      let offset = header.offset
+      // 2. get timestamp and the rest of the fields
+      const values = {}
+      const raw = {}
+      const offsets = {}
+      ;[TIMESTAMP].concat(fields).forEach(f => {
+        const { value, raw: fieldRaw, bytes } = readField(f, buf, offset, limits)
+        values[f.name] = value
+        raw[f.name] = fieldRaw
+        offsets[f.name] = offset
+        offset += bytes
+      })
+      checkTrailingBytes(buf, offset, limits)
+      if (check) {
+        try {
+          check(raw)
+        } catch (err) {
+          if (err instanceof errors.CableError && err.field !== null) {
+            throw atOffset(err, offsets[err.field])
+          }
+          throw err
+        }
+      }
+
+      const obj = { publicKey, signature, links, postType }
+      keys.forEach(key => { obj[key] = values[key] })
+      return obj
+    }
+  }
+}
+
+// reads the fields shared by all messages up to and including msgType, checking that msgLen matches the length of buf
+// (and, if limits are given, that buf is within limits.maxMessageBytes). returns { msgLen, msgType, msgTypeOffset,
+// offset } where offset is that of the field following msgType
+function readMessageHeader (buf, limits) {
+  if (limits && buf.length > limits.maxMessageBytes) {
+    throw new LimitError(`expected message to be at most ${limits.maxMessageBytes} bytes; was ${buf.length}`, { field: "msgLen", offset: 0 })
+  }
+  let offset = 0
+  // 1. get msgLen
+  const msgLen = decodeVarintSlice(buf, 0)
+  offset += varint.decode.bytes
+  if (buf.length - offset !== msgLen) {
+    const ErrorType = buf.length - offset < msgLen ? TruncatedError : FieldRangeError
+    throw new ErrorType(`expected remaining buf to be a buffer of size ${msgLen}; was ${buf.length - offset}`, { field: "msgLen", offset: 0 })
+  }
+  // 2. get msgType
+  const msgTypeOffset = offset
+  const msgType = decodeVarintSlice(buf, offset)
+  offset += varint.decode.bytes
+  return { msgLen, msgType, msgTypeOffset, offset }
+}
+
+// reads the fields shared by all posts up to and including postType, verifying the post's signature unless
+// opts.verify is false. returns { publicKey, signature, links, postType, postTypeOffset, offset } where offset is that of
+// the field following postType
+function readPostHeader (buf, opts, limits) {
+  const verify = !opts || opts.verify !== false
+  let offset = 0
+  const headerSize = constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE
+  if (buf.length < headerSize) {
+    throw new TruncatedError(`expected post to be at least ${headerSize} bytes; was ${buf.length}`, { offset: 0 })
+  }
+  // 1. get publicKey
+  const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
+  offset += constants.PUBLICKEY_SIZE
+  // 2. get signature
+  const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
+  offset += constants.SIGNATURE_SIZE
+  // verify signature is correct
+  if (verify) {
+    try {
+      validation.checkSignature(buf, publicKey)
+    } catch (err) {
+      throw atOffset(err, constants.PUBLICKEY_SIZE)
+    }
+  }
+  // 3. get links
+  const links = readField(LINKS, buf, offset, limits)
+  offset += links.bytes
+  // 4. get postType
+  const postTypeOffset = offset
+  const postType = decodeVarintSlice(buf, offset)
+  offset += varint.decode.bytes
+  return { publicKey, signature, links: links.value, postType, postTypeOffset, offset }
+}
+
+// generates the type used for messages of a msgType unknown to cable.js, e.g. one introduced by a newer revision of the
+// spec. toJSON() returns { msgLen, msgType, circuitid, reqid, unknown: true, raw } where raw is the entire cablegram,
+// which encode() returns as-is so that the message can be stored and forwarded
+function opaqueMessage () {
+  const CIRCUITID = field.bytes("circuitid", constants.CIRCUITID_SIZE)
+  const RAW = { name: "raw", kind: DATA }
+  const portableFields = { circuitid: CIRCUITID, reqid: REQID, raw: RAW }
+
+  return class {
+    static toPortableJSON(obj, opts) {
+      return toPortable(portableFields, obj, opts)
+    }
+
+    static fromPortableJSON(json, opts) {
+      return fromPortable(portableFields, json, opts)
+    }
+
+    static encode(obj) {
+      if (!b4a.isBuffer(obj.raw)) {
+        throw new UnknownTypeError(`encode message: unknown message type (${obj.msgType}) without raw bytes`, { field: "msgType" })
+      }
+      const { msgType } = readMessageHeader(obj.raw)
+      if (msgType !== obj.msgType) { throw valueExpected("msgType", msgType, obj.msgType) }
+      return b4a.from(obj.raw)
+    }
+
+    static toJSON(buf, opts) {
+      // 1. get msgLen and msgType
+      const { msgLen, msgType, offset } = readMessageHeader(buf, decodeLimits(opts))
+      // 2. get circuitid
+      const circuitid = readField(CIRCUITID, buf, offset)
+      // 3. get reqid
+      const reqid = readField(REQID, buf, offset + circuitid.bytes)
+      return { msgLen, msgType, circuitid: circuitid.value, reqid: reqid.value, unknown: true, raw: buf }
+    }
+  }
+}
+
+// generates the type used for posts of a postType unknown to cable.js. toJSON() returns
+// { publicKey, signature, links, postType, timestamp, unknown: true, raw } where raw is the entire post. its signature
+// is verified like that of any other post, and encode() returns raw as-is: posts of unknown types can not be signed anew
+function opaquePost () {
+  const RAW = { name: "raw", kind: DATA }
+  const portableFields = { publicKey: PUBLICKEY, signature: SIGNATURE, links: LINKS, raw: RAW }
+
+  return class {
+    static toPortableJSON(obj, opts) {
+      return toPortable(portableFields, obj, opts)
+    }
+
+    static fromPortableJSON(json, opts) {
+      return fromPortable(portableFields, json, opts)
+    }
+
+    static encode(obj, secretKey) {
+      if (!b4a.isBuffer(obj.raw) || secretKey !== undefined) {
+        throw new UnknownTypeError(`encode post: unknown post type (${obj.postType}) can only be encoded from its raw bytes`, { field: "postType" })
+      }
+      const { postType } = readPostHeader(obj.raw)
+      if (postType !== obj.postType) { throw valueExpected("postType", postType, obj.postType) }
+      return b4a.from(obj.raw)
+    }
+
+    static toJSON(buf, opts) {
+      // 1. get publicKey, signature, links and postType
+      const { publicKey, signature, links, postType, offset } = readPostHeader(buf, opts, decodeLimits(opts))
+      // 2. get timestamp; the rest of the post can not be interpreted
+      const timestamp = readField(TIMESTAMP, buf, offset)
+      return { publicKey, signature, links, postType, timestamp: timestamp.value, unknown: true, raw: buf }
+    }
+  }
+}
+
+function prependMsgLen (buf) {
+  const msglen = encodeVarintBuffer(buf.length)
+  // prepend msglen before the contents and we're done
+  return b4a.concat([msglen, buf])
+}
+
+// attempt to extract a varint from a buffer `frame`, starting at `offset`
+function decodeVarintSlice (frame, offset) {
+  let decodedSlice
+  let sliceEnd
+  for (let i = 1; i < constants.MAX_VARINT_SIZE; i++) {
+    sliceEnd = offset + i
+    const frameSlice = frame.subarray(offset, sliceEnd)
+    try {
+      decodedSlice = varint.decode(frameSlice)
+      return decodedSlice
+    } catch (e) {
+      if (e instanceof RangeError) {
+        if (sliceEnd >= frame.length) {
+          throw new TruncatedError(`expected a varint at offset ${offset}, but the buffer ends before that`, { offset })
+        }
+        continue
+      }
+      throw e
+    }
+  }
+  throw new FieldRangeError(`expected a varint of at most ${constants.MAX_VARINT_SIZE - 1} bytes at offset ${offset}`, { offset })
+}
+
+// returns the `size` bytes of buf starting at offset
+function readBytes (buf, offset, size) {
+  if (offset + size > buf.length) {
+    throw new TruncatedError(`expected ${size} bytes at offset ${offset}, but the buffer ends before that`, { offset })
+  }
+  return buf.subarray(offset, offset + size)
+}
+
+function isInteger(n) {
+  return Number.isInteger(n)
+}
+
+function ttlRangecorrect(ttl) {
+  return ttl >= 0 && ttl <= 16
+}
+
+function isBufferSize(b, SIZE) {
+  if (b4a.isBuffer(b)) {
+    return b.length === SIZE
+  }
+  return false
+}
+
+function isString (s) {
+  return typeof s === "string"
+}
+
+function isArrayData (arr) {
+  if (Array.isArray(arr)) {
+    for (let i = 0; i < arr.length; i++) {
+      if (!b4a.isBuffer(arr[i])) {
+        return false
+      }
+    }
+    return true
+  }
+  return false
+}
+
+function isArrayString (arr) {
+  if (Array.isArray(arr)) {
+    for (let i = 0; i < arr.length; i++) {
+      if (typeof arr[i] !== "string") {
+        return false
+      }
+    }
+    return true
+  }
+  return false
+}
+
+function isArrayHashes (arr) {
+  if (Array.isArray(arr)) {
+    for (let i = 0; i < arr.length; i++) {
+      if (!isBufferSize(arr[i], constants.HASH_SIZE)) {
+        return false
+      }
+    }
+    return true
+  }
+  return false
+}
+
+
+function encodeVarintBuffer (n) {
+  // take integer, return varint encoded buffer representation
+  return b4a.from(varint.encode(n))
+}
+
+// returns the amount of bytes needed to varint encode integer n
+function varintLength (n) {
+  return varint.encodingLength(n)
+}
+
+// returns the amount of bytes needed to encode a length-prefixed buffer (e.g. a channel name)
+function stringLength (buf) {
+  return varintLength(buf.length) + buf.length
+}
+
+// returns the amount of bytes needed to encode a list of hashes, including the preceding hash count
+function hashListLength (hashes) {
+  return varintLength(hashes.length) + hashes.length * constants.HASH_SIZE
+}
+
+// returns the amount of bytes needed for the fields shared by all messages: msgType, circuitid, reqid
+// (msgLen is excluded, as it is prepended after the rest of the message has been written)
+function messageHeaderLength (msgType) {
+  return varintLength(msgType) + constants.CIRCUITID_SIZE + constants.REQID_SIZE
+}
+
+function writeVarint (n, buf, offset) {
+  // take integer, buffer to write to, and offset to write at
+  // return amount of varint encoded bytes written
+  const varintBuf = encodeVarintBuffer(n)
+  varintBuf.copy(buf, offset)
+  return varint.encode.bytes
+}
+
+module.exports = {
+  field,
+  message,
+  post,
+  opaqueMessage,
+  opaquePost,
+  readMessageHeader,
+  DEFAULT_LIMITS,
+  decodeLimits,
+
+  bufferExpected,
+  integerExpected,
+  hashesExpected,
+  ttlRangeExpected,
+  wrongNumberArguments,
+
+  prependMsgLen,
+  decodeVarintSlice,
+  encodeVarintBuffer,
+  writeVarint,
+  varintLength,
+  stringLength,
+  messageHeaderLength,
+
+  isInteger,
+  ttlRangecorrect,
+  isBufferSize,
+  isArrayData,
+  isArrayString,
+  isArrayHashes
+}
@@ -16,12 +16,14 @@
  *                         abundantly clear what data is being used.
  *   "id": the numeric id for the message or post type (0, 1, 2....). for type "generated-data" this is -1 (not relevant)
  *   "binary": the binary representation, as according to the cable spec, for the message or post type. for type "generated-data" this is null (not relevant)
- *   "obj": an object representation of the message or post type. conventions used are camelCase over the spec's
- *        underscores, with deviations in that reqid and cancelid are all lowercase)
+ *   "obj": an object representation of the message or post type, in the portable json form produced by
+ *        cable.toPortableJSON. conventions used are camelCase over the spec's underscores, with deviations in that reqid
+ *        and cancelid are all lowercase)
  * }
  *
- * NOTE: Every instance of the key "data" has as its value a serialized Uint8Array, representing binary data for its
- * parent (e.g. publicKey, hashes, reqid)
+ * NOTE: in the "obj" of messages and posts, binary data (e.g. publicKey, hashes, reqid) is a hex-encoded string. in
+ * "generated-data", every instance of the key "data" has as its value a serialized Uint8Array, representing binary data
+ * for its parent
  *
 */
 const b4a = require("b4a")
@@ -126,9 +128,13 @@ function traverseArray (coll) {
   return arr
 }
 
-function print(obj) {
+function print(entry) {
   const result = {}
-  traverse(obj, result)
+  // posts and messages use the library's portable json; only the initial parameters need converting here
+  if (entry.type !== "generated-data") {
+    entry = Object.assign({}, entry, { obj: cable.toPortableJSON(entry.obj) })
+  }
+  traverse(entry, result)
   console.log(JSON.stringify(result))
 }
 
@@ -205,7 +211,7 @@ const objDelete = DELETE_POST.toJSON(bufDelete)
 print({ name: "post/delete", type: "post", id: cable.peekPost(bufDelete), binary: bufDelete, obj: objDelete })
 
 // 2: post/info
-const bufInfo = INFO_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, "name", username)
+const bufInfo = INFO_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, [["name", username]])
 const objInfo = INFO_POST.toJSON(bufInfo)
 print({ name: "post/info", type: "post", id: cable.peekPost(bufInfo), binary: bufInfo, obj: objInfo })
 
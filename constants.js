@@ -80,6 +80,13 @@ const INFO_VALUE_MAX_BYTES = 4096
 const TOPIC_MIN_CODEPOINTS = 0
 const TOPIC_MAX_CODEPOINTS = 512
 
+// default limits of hardened decoding (not part of the cable specification)
+const DECODE_MAX_MESSAGE_BYTES = 4 * 1024 * 1024
+const DECODE_MAX_HASHES = 65536
+const DECODE_MAX_LINKS = 256
+const DECODE_MAX_POSTS = 1024
+const DECODE_MAX_CHANNELS = 4096
+
 module.exports = {
   HASH_RESPONSE,
   POST_RESPONSE,
@@ -116,5 +123,11 @@ module.exports = {
   INFO_KEY_MAX_CODEPOINTS,
   INFO_VALUE_MAX_BYTES,
   TOPIC_MIN_CODEPOINTS,
-  TOPIC_MAX_CODEPOINTS
+  TOPIC_MAX_CODEPOINTS,
+
+  DECODE_MAX_MESSAGE_BYTES,
+  DECODE_MAX_HASHES,
+  DECODE_MAX_LINKS,
+  DECODE_MAX_POSTS,
+  DECODE_MAX_CHANNELS
 }
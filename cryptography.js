@@ -4,6 +4,7 @@
 
 const b4a = require("b4a")
 const sodium = require("sodium-universal")
+const { InvalidArgumentError } = require("./errors.js")
 
 // copy in utility functions into file to decrease audit burden / minimize # imported depdencies
 function isBufferSize(b, SIZE) {
@@ -14,11 +15,11 @@ function isBufferSize(b, SIZE) {
 }
 
 function bufferExpected (fn) {
-  return new Error(`function ${fn} expected a buffer`)
+  return new InvalidArgumentError(`function ${fn} expected a buffer`, { field: "buf" })
 }
 
 function bufferExpectedSize (fn, variableName, size) {
-  return new Error(`function ${fn} expected ${variableName} to be a buffer of size ${size}`)
+  return new InvalidArgumentError(`function ${fn} expected ${variableName} to be a buffer of size ${size}`, { field: variableName })
 }
 
 function generateReqID() {
@@ -63,9 +64,14 @@ function verify (buf, publicKey) {
   if (!isBufferSize(publicKey, sodium.crypto_sign_PUBLICKEYBYTES)) {
     throw bufferExpectedSize("verify", "publicKey", sodium.crypto_sign_PUBLICKEYBYTES)
   }
-  const sigAndPayload = buf.subarray(sodium.crypto_sign_PUBLICKEYBYTES)
+  if (buf.length < sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_sign_BYTES) {
+    return false
+  }
+  // verify detached: crypto_sign_open would write the opened payload into its output, zeroing it in place when the
+  // signature is invalid
+  const signature = buf.subarray(sodium.crypto_sign_PUBLICKEYBYTES, sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_sign_BYTES)
   const payload = buf.subarray(sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_sign_BYTES)
-  return sodium.crypto_sign_open(payload, sigAndPayload, publicKey)
+  return sodium.crypto_sign_verify_detached(signature, payload, publicKey)
 }
 
 function hash(buf) {
@@ -0,0 +1,90 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// authorized deletion: a post/delete only deletes posts signed by the same public key as itself, so that no one can
+// delete the posts of others. a post/delete may arrive before the posts it deletes, in which case a tombstone is kept
+// for each of them until they arrive and their authors can be checked
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const { toHex, hashId } = require("./hash.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+// tracks which posts are deleted. opts:
+// * purge(hash): called once for each post that is deleted, as soon as both the post and its post/delete have been
+//   added, so that stores can drop the post's content
+class Deletions {
+  constructor(opts) {
+    opts = opts || {}
+    if (opts.purge !== undefined && typeof opts.purge !== "function") {
+      throw new InvalidArgumentError("expected purge to be a function", { field: "purge" })
+    }
+    this.purge = opts.purge || null
+    // the hex public key of the author of each post added, keyed by hex hash
+    this.authors = new Map()
+    // the hex hashes of deleted posts
+    this.deletedIds = new Set()
+    // the hex public keys of the authors of the post/deletes naming each post that has not been added, keyed by hex hash
+    this.tombstoneIds = new Map()
+  }
+
+  // adds a post (see resolvePost in index.js). returns false if the post was already added, and true otherwise
+  add(post, opts) {
+    const { hash, obj } = cable.resolvePost(post, opts)
+    return this.addResolved(hash, obj)
+  }
+
+  // like add, for a post that has already been decoded (obj) and hashed (hash)
+  addResolved(hash, obj) {
+    const id = toHex(hash)
+    if (this.authors.has(id)) { return false }
+    const author = toHex(obj.publicKey)
+    this.authors.set(id, author)
+    // 1. the post is deleted if a post/delete by its author arrived before it
+    const deleters = this.tombstoneIds.get(id)
+    if (deleters) {
+      this.tombstoneIds.delete(id)
+      if (deleters.has(author)) { this._delete(id) }
+    }
+    // 2. a post/delete deletes the posts of its own author
+    if (obj.postType === constants.DELETE_POST) {
+      obj.hashes.forEach(target => {
+        const targetId = toHex(target)
+        if (this.authors.has(targetId)) {
+          if (this.authors.get(targetId) === author) { this._delete(targetId) }
+          return
+        }
+        if (!this.tombstoneIds.has(targetId)) { this.tombstoneIds.set(targetId, new Set()) }
+        this.tombstoneIds.get(targetId).add(author)
+      })
+    }
+    return true
+  }
+
+  // returns whether the post with hash, as a buffer or hex string, has been deleted by its author. posts named by a
+  // post/delete that have not been added are not deleted yet (see tombstones)
+  isDeleted(hash) {
+    return this.deletedIds.has(hashId(hash))
+  }
+
+  // returns the hashes of all deleted posts, sorted by their bytes
+  deleted() {
+    return Array.from(this.deletedIds).map(id => b4a.from(id, "hex")).sort(b4a.compare)
+  }
+
+  // returns the hashes of the posts that are named by a post/delete but have not been added, sorted by their bytes
+  tombstones() {
+    return Array.from(this.tombstoneIds.keys()).map(id => b4a.from(id, "hex")).sort(b4a.compare)
+  }
+
+  _delete(id) {
+    if (this.deletedIds.has(id)) { return }
+    this.deletedIds.add(id)
+    if (this.purge) { this.purge(b4a.from(id, "hex")) }
+  }
+}
+
+module.exports = {
+  Deletions
+}
@@ -0,0 +1,108 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// every error thrown by cable.js is a CableError. its `code` is stable across versions and is what callers should
+// branch on (e.g. to tell a peer sending malformed data apart from a bug in the calling code), rather than on the
+// message, which is meant for humans and may change.
+//
+// each error also carries:
+// * field: the name of the offending field (e.g. "ttl", "channel", "signature"), or null if not tied to a field
+// * offset: the byte offset of the offending field within the buffer being decoded, or null when encoding
+class CableError extends Error {
+  constructor(code, message, opts) {
+    super(message)
+    opts = opts || {}
+    this.name = this.constructor.name
+    this.code = code
+    this.field = opts.field !== undefined ? opts.field : null
+    this.offset = opts.offset !== undefined ? opts.offset : null
+  }
+}
+
+// a function was called with the wrong number of arguments (an error in the calling code)
+class ArgumentCountError extends CableError {
+  constructor(message, opts) { super("ERR_ARG_COUNT", message, opts) }
+}
+
+// a value is not of the expected kind, e.g. a string where a buffer was expected
+class InvalidArgumentError extends CableError {
+  constructor(message, opts) { super("ERR_INVALID_ARG", message, opts) }
+}
+
+// a value is of the expected kind but outside of its allowed range, e.g. a ttl above 16 or a channel name that is too
+// long
+class FieldRangeError extends CableError {
+  constructor(message, opts) { super("ERR_FIELD_RANGE", message, opts) }
+}
+
+// a decoded msgType or postType is not the one the decoding function handles
+class WrongTypeError extends CableError {
+  constructor(message, opts) { super("ERR_WRONG_TYPE", message, opts) }
+}
+
+// a decoded msgType or postType is not known to cable.js
+class UnknownTypeError extends CableError {
+  constructor(message, opts) { super("ERR_UNKNOWN_TYPE", message, opts) }
+}
+
+// a buffer ended before all of its fields could be read
+class TruncatedError extends CableError {
+  constructor(message, opts) { super("ERR_TRUNCATED", message, opts) }
+}
+
+// a decoded message exceeds one of the limits of hardened decoding, e.g. it contains too many hashes
+class LimitError extends CableError {
+  constructor(message, opts) { super("ERR_LIMIT_EXCEEDED", message, opts) }
+}
+
+// a decoded message or post continues after its last field (only checked by hardened decoding)
+class TrailingBytesError extends CableError {
+  constructor(message, opts) { super("ERR_TRAILING_BYTES", message, opts) }
+}
+
+// a string is not valid utf-8 when decoding, or contains lone surrogates (which utf-8 cannot encode) when encoding
+class Utf8Error extends CableError {
+  constructor(message, opts) { super("ERR_INVALID_UTF8", message, opts) }
+}
+
+// a post's signature could not be verified with its public key
+class SignatureError extends CableError {
+  constructor(message, opts) { super("ERR_BAD_SIGNATURE", message, opts) }
+}
+
+// a request was not concluded in time (see RequestManager in requests.js)
+class TimeoutError extends CableError {
+  constructor(message, opts) { super("ERR_TIMEOUT", message, opts) }
+}
+
+// a worker thread exited while verifying posts (see BatchVerifier in batch.js)
+class WorkerExitError extends CableError {
+  constructor(message, opts) { super("ERR_WORKER_EXIT", message, opts) }
+}
+
+// sets the byte offset of err, if it is a CableError that was thrown without one (e.g. by a check in validation.js
+// that only sees the field's value), and returns err
+function atOffset(err, offset) {
+  if (err instanceof CableError && err.offset === null) {
+    err.offset = offset
+  }
+  return err
+}
+
+module.exports = {
+  CableError,
+  ArgumentCountError,
+  InvalidArgumentError,
+  FieldRangeError,
+  WrongTypeError,
+  UnknownTypeError,
+  TruncatedError,
+  LimitError,
+  TrailingBytesError,
+  Utf8Error,
+  SignatureError,
+  TimeoutError,
+  WorkerExitError,
+  atOffset
+}
@@ -116,7 +116,7 @@ const objDelete = DELETE_POST.toJSON(bufDelete)
 console.log(objDelete)
 
 // 2: post/info
-const bufInfo = INFO_POST.create(keypair.publicKey, keypair.secretKey, [link], 9321, "nick", "cabler")
+const bufInfo = INFO_POST.create(keypair.publicKey, keypair.secretKey, [link], 9321, [["name", "cabler"], ["nick", "cabler"]])
 console.log("post type of post/info", cable.peekPost(bufInfo))
 const messageSignatureCorrectInfo = crypto.verify(bufInfo, keypair.publicKey)
 console.log(bufInfo)
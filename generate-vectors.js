@@ -0,0 +1,219 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+/*
+ * generates the conformance test vectors in test/vectors.json, checked by test/vectors.js. unlike the output of
+ * complete-examples.js, the vectors are deterministic: keypairs, reqids and links are fixed, and ed25519 signatures
+ * are deterministic. run `node generate-vectors.js` after changing the library, and review the diff.
+ *
+ * the vectors are meant to be shared with other implementations of cable, and have the following format:
+ * {
+ *   "version": incremented whenever existing vectors change in a breaking way
+ *   "spec": the revision of the cable spec the vectors adhere to
+ *   "keypairs": [{ "publicKey", "secretKey" }], hex encoded. posts are signed by keypairs[vector.keypair]
+ *   "valid": [{
+ *     "name": e.g. "post/text" or "hash response"
+ *     "kind": "message" or "post"
+ *     "type": the name of the type's constant (e.g. "TEXT_POST")
+ *     "id": the msgType or postType
+ *     "keypair": (posts only) the index of the keypair that signed the post
+ *     "binary": the hex encoded cablegram or post
+ *     "obj": the decoded fields, in the portable json form of cable.toPortableJSON (using hex)
+ *   }]
+ *   "invalid": [{
+ *     "name": a description of what is wrong
+ *     "kind": "message" or "post"
+ *     "binary": the hex encoded cablegram or post, which must fail to decode
+ *     "decodeAs": (optional) the name of the type to decode the binary as; otherwise its own msgType or postType
+ *     "error": the code of the error that decoding must fail with (see errors.js)
+ *   }]
+ * }
+*/
+const fs = require("fs")
+const path = require("path")
+const b4a = require("b4a")
+const varint = require("varint")
+const crypto = require("./cryptography.js")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+
+const VERSION = 2
+const SPEC = "cable rev 2023-04"
+const VECTORS_PATH = path.join(__dirname, "test", "vectors.json")
+
+const keypairs = [
+  {
+    publicKey: b4a.from("25b272a71555322d40efe449a7f99af8fd364b92d350f1664481b2da340a02d0", "hex"),
+    secretKey: b4a.from("f12a0b72a720f9ce6898a1f4c685bee4cc838102143db98f467c5512a726e69225b272a71555322d40efe449a7f99af8fd364b92d350f1664481b2da340a02d0", "hex")
+  },
+  {
+    publicKey: b4a.from("a1848da12ef21239fb6926a0a1657e615f40ec7ed4140ae4573a33225f6e0516", "hex"),
+    secretKey: b4a.from("f50054c13f1dd85a32370db062aa0f45609aed35cdc716830864eccfd814d7fca1848da12ef21239fb6926a0a1657e615f40ec7ed4140ae4573a33225f6e0516", "hex")
+  }
+]
+
+const reqid = b4a.from("04baaffb", "hex")
+const cancelid = b4a.from("31b5c9e1", "hex")
+// fixed "hashes" of posts, derived from fixed payloads
+const hashes = ["first", "second", "third"].map(payload => crypto.hash(b4a.from(payload)))
+const links = [crypto.hash(b4a.from("fake payload"))]
+
+function varintBuffer (n) {
+  return b4a.from(varint.encode(n))
+}
+
+function stringBuffer (s) {
+  const buf = b4a.from(s, "utf8")
+  return b4a.concat([varintBuffer(buf.length), buf])
+}
+
+// signs an arbitrary post, bypassing the validation done by create(): used for invalid posts with a valid signature
+function signPost (keypair, postLinks, postType, timestamp, fields) {
+  const buf = b4a.concat([
+    keypair.publicKey,
+    b4a.alloc(constants.SIGNATURE_SIZE),
+    varintBuffer(postLinks.length),
+    ...postLinks,
+    varintBuffer(postType),
+    varintBuffer(timestamp),
+    ...fields
+  ])
+  crypto.sign(buf, keypair.secretKey)
+  return buf
+}
+
+// frames an arbitrary message, bypassing the validation done by create()
+function frameMessage (msgType, fields) {
+  const frame = b4a.concat([varintBuffer(msgType), b4a.alloc(constants.CIRCUITID_SIZE), reqid, ...fields])
+  return b4a.concat([varintBuffer(frame.length), frame])
+}
+
+function generatePosts () {
+  const [alice, bob] = keypairs
+  return [
+    ["post/text", "TEXT_POST", 0, cable.TEXT_POST.create(alice.publicKey, alice.secretKey, links, "default", 80, "h€llo world")],
+    ["post/text without links", "TEXT_POST", 1, cable.TEXT_POST.create(bob.publicKey, bob.secretKey, [], "dev", 81, "")],
+    ["post/delete", "DELETE_POST", 0, cable.DELETE_POST.create(alice.publicKey, alice.secretKey, links, 82, hashes)],
+    ["post/info", "INFO_POST", 0, cable.INFO_POST.create(alice.publicKey, alice.secretKey, links, 83, [["name", "cabler"]])],
+    ["post/topic", "TOPIC_POST", 1, cable.TOPIC_POST.create(bob.publicKey, bob.secretKey, links, "default", 84, "introduce yourself")],
+    ["post/topic empty", "TOPIC_POST", 1, cable.TOPIC_POST.create(bob.publicKey, bob.secretKey, links, "default", 85, "")],
+    ["post/join", "JOIN_POST", 0, cable.JOIN_POST.create(alice.publicKey, alice.secretKey, links, "default", 86)],
+    ["post/leave", "LEAVE_POST", 1, cable.LEAVE_POST.create(bob.publicKey, bob.secretKey, hashes, "default", 87)],
+    // 64 codepoints (the maximum), but 192 bytes
+    ["post/join with a non-latin channel name", "JOIN_POST", 1,
+      cable.JOIN_POST.create(bob.publicKey, bob.secretKey, links, "日本語".repeat(21) + "日", 88)],
+    ["post/info with a non-latin name", "INFO_POST", 1, cable.INFO_POST.create(bob.publicKey, bob.secretKey, links, 89, [["name", "عبد الله"]])],
+    ["post/info with several pairs", "INFO_POST", 0,
+      cable.INFO_POST.create(alice.publicKey, alice.secretKey, links, 90, [["name", "cabler"], ["bio", "hello"], ["status", ""]])],
+    ["post/info empty", "INFO_POST", 1, cable.INFO_POST.create(bob.publicKey, bob.secretKey, links, 91, [])],
+    ["post/info with accept-role", "INFO_POST", 0, cable.INFO_POST.create(alice.publicKey, alice.secretKey, links, 92, [["accept-role", "1"]])]
+  ]
+}
+
+function generateMessages (posts) {
+  return [
+    ["hash response", "HASH_RESPONSE", cable.HASH_RESPONSE.create(reqid, hashes)],
+    ["hash response concluding", "HASH_RESPONSE", cable.HASH_RESPONSE.create(reqid, [])],
+    ["post response", "POST_RESPONSE", cable.POST_RESPONSE.create(reqid, posts.slice(0, 2))],
+    ["post response concluding", "POST_RESPONSE", cable.POST_RESPONSE.create(reqid, [])],
+    ["post request", "POST_REQUEST", cable.POST_REQUEST.create(reqid, 1, hashes)],
+    ["cancel request", "CANCEL_REQUEST", cable.CANCEL_REQUEST.create(reqid, 0, cancelid)],
+    ["channel time range request", "TIME_RANGE_REQUEST", cable.TIME_RANGE_REQUEST.create(reqid, 1, "default", 0, 100, 20)],
+    ["channel state request", "CHANNEL_STATE_REQUEST", cable.CHANNEL_STATE_REQUEST.create(reqid, 1, "default", 0)],
+    ["channel list request", "CHANNEL_LIST_REQUEST", cable.CHANNEL_LIST_REQUEST.create(reqid, 1, 0, 20)],
+    ["channel list response", "CHANNEL_LIST_RESPONSE", cable.CHANNEL_LIST_RESPONSE.create(reqid, ["default", "dev", "introduction"])],
+    ["channel list response concluding", "CHANNEL_LIST_RESPONSE", cable.CHANNEL_LIST_RESPONSE.create(reqid, [])]
+  ]
+}
+
+function generateInvalid (posts, messages) {
+  const alice = keypairs[0]
+  const textPost = posts[0]
+  const tampered = b4a.from(textPost)
+  tampered[tampered.length - 1] ^= 1
+  const postRequest = b4a.from(cable.POST_REQUEST.create(reqid, 16, hashes))
+  // msgLen (1) + msgType (1) + circuitid + reqid
+  postRequest[2 + constants.CIRCUITID_SIZE + constants.REQID_SIZE] = 17
+  const hashResponse = messages[0]
+
+  return [
+    ["post/text with a tampered text", "post", tampered, "ERR_BAD_SIGNATURE"],
+    ["post shorter than a public key and signature", "post", textPost.subarray(0, 80), "ERR_TRUNCATED"],
+    ["post/delete with fewer hashes than its hash count", "post",
+      signPost(alice, links, constants.DELETE_POST, 82, [varintBuffer(2), hashes[0]]), "ERR_TRUNCATED"],
+    ["post/join with a channel name too long", "post",
+      signPost(alice, links, constants.JOIN_POST, 86, [stringBuffer("c".repeat(constants.CHANNEL_NAME_MAX_CODEPOINTS + 1))]), "ERR_FIELD_RANGE"],
+    ["post/join with an empty channel name", "post",
+      signPost(alice, links, constants.JOIN_POST, 86, [stringBuffer("")]), "ERR_FIELD_RANGE"],
+    ["post/text with a text too long", "post",
+      signPost(alice, links, constants.TEXT_POST, 80, [stringBuffer("default"), stringBuffer("t".repeat(constants.POST_TEXT_MAX_BYTES + 1))]), "ERR_FIELD_RANGE"],
+    ["post/info with a name too long", "post",
+      signPost(alice, links, constants.INFO_POST, 83, [stringBuffer("name"), stringBuffer("n".repeat(constants.USER_NAME_MAX_CODEPOINTS + 1)), varintBuffer(0)]), "ERR_FIELD_RANGE"],
+    ["post/info with an accept-role other than 0 or 1", "post",
+      signPost(alice, links, constants.INFO_POST, 92, [stringBuffer("accept-role"), stringBuffer("yes"), varintBuffer(0)]), "ERR_FIELD_RANGE"],
+    ["post/info with a duplicate key", "post",
+      signPost(alice, links, constants.INFO_POST, 83, [stringBuffer("bio"), stringBuffer("a"), stringBuffer("bio"), stringBuffer("b"), varintBuffer(0)]), "ERR_FIELD_RANGE"],
+    ["post/topic with a topic too long", "post",
+      signPost(alice, links, constants.TOPIC_POST, 84, [stringBuffer("default"), stringBuffer("t".repeat(constants.TOPIC_MAX_CODEPOINTS + 1))]), "ERR_FIELD_RANGE"],
+    ["post/join with a channel name of invalid utf-8", "post",
+      signPost(alice, links, constants.JOIN_POST, 86, [varintBuffer(2), b4a.from([0xc3, 0x28])]), "ERR_INVALID_UTF8"],
+    ["post/join with a channel name of 65 non-latin codepoints", "post",
+      signPost(alice, links, constants.JOIN_POST, 86, [stringBuffer("日".repeat(constants.CHANNEL_NAME_MAX_CODEPOINTS + 1))]), "ERR_FIELD_RANGE"],
+    ["post/join decoded as post/text", "post", posts[6], "ERR_WRONG_TYPE", "TEXT_POST"],
+    ["post request with a ttl above 16", "message", postRequest, "ERR_FIELD_RANGE"],
+    ["hash response cut short of its msgLen", "message", hashResponse.subarray(0, hashResponse.length - 1), "ERR_TRUNCATED"],
+    ["hash response with bytes beyond its msgLen", "message", b4a.concat([hashResponse, b4a.alloc(1)]), "ERR_FIELD_RANGE"],
+    ["channel state request with an empty channel name", "message",
+      frameMessage(constants.CHANNEL_STATE_REQUEST, [varintBuffer(1), stringBuffer(""), varintBuffer(0)]), "ERR_FIELD_RANGE"],
+    ["channel time range request decoded as channel state request", "message", messages[6], "ERR_WRONG_TYPE", "CHANNEL_STATE_REQUEST"]
+  ]
+}
+
+function generateVectors () {
+  const posts = generatePosts()
+  const postBuffers = posts.map(([, , , buf]) => buf)
+  const messages = generateMessages(postBuffers)
+  const invalid = generateInvalid(postBuffers, messages.map(([, , buf]) => buf))
+
+  return {
+    version: VERSION,
+    spec: SPEC,
+    keypairs: keypairs.map(kp => ({ publicKey: b4a.toString(kp.publicKey, "hex"), secretKey: b4a.toString(kp.secretKey, "hex") })),
+    valid: [].concat(
+      messages.map(([name, type, buf]) => ({
+        name,
+        kind: "message",
+        type,
+        id: constants[type],
+        binary: b4a.toString(buf, "hex"),
+        obj: cable.toPortableJSON(cable.parseMessage(buf))
+      })),
+      posts.map(([name, type, keypair, buf]) => ({
+        name,
+        kind: "post",
+        type,
+        id: constants[type],
+        keypair,
+        binary: b4a.toString(buf, "hex"),
+        obj: cable.toPortableJSON(cable.parsePost(buf))
+      }))
+    ),
+    invalid: invalid.map(([name, kind, buf, error, decodeAs]) => {
+      const vector = { name, kind, binary: b4a.toString(buf, "hex") }
+      if (decodeAs) { vector.decodeAs = decodeAs }
+      vector.error = error
+      return vector
+    })
+  }
+}
+
+if (require.main === module) {
+  fs.writeFileSync(VECTORS_PATH, JSON.stringify(generateVectors(), null, 2) + "\n")
+  console.log(`wrote ${VECTORS_PATH}`)
+}
+
+module.exports = {
+  VECTORS_PATH,
+  generateVectors
+}
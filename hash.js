@@ -0,0 +1,185 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// hashes are how cable refers to posts: in links, in the targets of post/delete, and in post requests and hash
+// responses. the hash of a post is the BLAKE2b hash (HASH_SIZE bytes) of its entire buffer, signature included. this
+// file hashes posts, compares and formats hashes, and defines PostRef, which keeps a post together with its hash
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const crypto = require("./cryptography.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+function isHash (hash) {
+  return b4a.isBuffer(hash) && hash.length === constants.HASH_SIZE
+}
+
+function checkHash (hash, param) {
+  if (!isHash(hash)) {
+    throw new InvalidArgumentError(`expected ${param} to be a buffer of size ${constants.HASH_SIZE}`, { field: param })
+  }
+}
+
+function checkPost (buf, param) {
+  if (!b4a.isBuffer(buf)) { throw new InvalidArgumentError(`expected ${param} to be a buffer`, { field: param }) }
+}
+
+// returns the hash of the post in buf
+function hashPost (buf) {
+  checkPost(buf, "post")
+  return crypto.hash(buf)
+}
+
+// returns the hashes of the posts in bufs, in the same order
+function hashPosts (bufs) {
+  if (!Array.isArray(bufs)) { throw new InvalidArgumentError("expected posts to be an array", { field: "posts" }) }
+  return bufs.map(buf => hashPost(buf))
+}
+
+// orders hashes by their bytes, as sort() expects: negative if a comes first, positive if b does and 0 if equal
+function compareHashes (a, b) {
+  checkHash(a, "a")
+  checkHash(b, "b")
+  return b4a.compare(a, b)
+}
+
+function equalHashes (a, b) {
+  return compareHashes(a, b) === 0
+}
+
+// returns a sorted copy of hashes, without duplicates
+function sortHashes (hashes) {
+  if (!Array.isArray(hashes)) { throw new InvalidArgumentError("expected hashes to be an array", { field: "hashes" }) }
+  const sorted = hashes.slice().sort(compareHashes)
+  return sorted.filter((hash, i) => i === 0 || !b4a.equals(hash, sorted[i - 1]))
+}
+
+function hashToHex (hash) {
+  checkHash(hash, "hash")
+  return toHex(hash)
+}
+
+const HEX_HASH = new RegExp(`^[0-9a-fA-F]{${constants.HASH_SIZE * 2}}$`)
+function hashFromHex (s) {
+  if (typeof s !== "string" || !HEX_HASH.test(s)) {
+    throw new InvalidArgumentError(`expected hash to be ${constants.HASH_SIZE * 2} hex characters`, { field: "hash" })
+  }
+  return b4a.from(s, "hex")
+}
+
+// base32 of RFC 4648, in lowercase and without padding: shorter than hex, and safe in urls and case-insensitive contexts
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567"
+const BASE32_HASH_LENGTH = Math.ceil(constants.HASH_SIZE * 8 / 5)
+
+function hashToBase32 (hash) {
+  checkHash(hash, "hash")
+  let s = ""
+  let bits = 0
+  let value = 0
+  for (let i = 0; i < hash.length; i++) {
+    value = (value << 8) | hash[i]
+    bits += 8
+    while (bits >= 5) {
+      s += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    s += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return s
+}
+
+// parses a hash formatted by hashToBase32 (in upper or lowercase)
+function hashFromBase32 (s) {
+  const expected = () => {
+    return new InvalidArgumentError(`expected hash to be ${BASE32_HASH_LENGTH} base32 characters`, { field: "hash" })
+  }
+  if (typeof s !== "string" || s.length !== BASE32_HASH_LENGTH) { throw expected() }
+  const hash = b4a.alloc(constants.HASH_SIZE)
+  let bits = 0
+  let value = 0
+  let offset = 0
+  for (const c of s.toLowerCase()) {
+    const index = BASE32_ALPHABET.indexOf(c)
+    if (index === -1) { throw expected() }
+    value = ((value << 5) | index) & 0xfff
+    bits += 5
+    if (bits >= 8) {
+      hash[offset++] = (value >>> (bits - 8)) & 255
+      bits -= 8
+    }
+  }
+  // the bits left over must be the zero padding written by hashToBase32
+  if ((value & ((1 << bits) - 1)) !== 0) { throw expected() }
+  return hash
+}
+
+// returns buf (e.g. a hash or a public key) in hex, as used to key maps and sets by it
+function toHex (buf) {
+  return b4a.toString(buf, "hex")
+}
+
+// returns the hex form of a hash given either as a buffer or in hex (in upper or lowercase)
+function hashId (hash) {
+  if (b4a.isBuffer(hash)) { return toHex(hash) }
+  if (typeof hash === "string") { return hash.toLowerCase() }
+  throw new InvalidArgumentError("expected hash to be a buffer or a hex string", { field: "hash" })
+}
+
+// a post's buffer along with its hash, which is computed once. anywhere cable.js takes hashes (links, the hashes of
+// post/delete, post requests and hash responses) it also takes PostRefs, and post responses take them in place of post
+// buffers
+class PostRef {
+  constructor(buf, hash) {
+    checkPost(buf, "buf")
+    if (hash !== undefined) { checkHash(hash, "hash") }
+    this.buf = buf
+    this.hash = hash || crypto.hash(buf)
+  }
+
+  static isPostRef(ref) {
+    return ref instanceof PostRef
+  }
+
+  get hex() {
+    return hashToHex(this.hash)
+  }
+
+  get base32() {
+    return hashToBase32(this.hash)
+  }
+
+  // whether other, a PostRef or a hash, refers to the same post
+  equals(other) {
+    return equalHashes(this.hash, other instanceof PostRef ? other.hash : other)
+  }
+}
+
+// returns the hash of a PostRef, and any other value as-is
+function toHash (ref) {
+  return ref instanceof PostRef ? ref.hash : ref
+}
+
+// returns the post buffer of a PostRef, and any other value as-is
+function toPostBuffer (ref) {
+  return ref instanceof PostRef ? ref.buf : ref
+}
+
+module.exports = {
+  isHash,
+  hashPost,
+  hashPosts,
+  compareHashes,
+  equalHashes,
+  sortHashes,
+  hashToHex,
+  hashFromHex,
+  hashToBase32,
+  hashFromBase32,
+  PostRef,
+  toHash,
+  toPostBuffer,
+  toHex,
+  hashId
+}
@@ -0,0 +1,102 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// tracking of the heads of each channel, to fill in the links of new posts. the posts of a channel form a DAG through
+// their links, and its heads are the known posts that no other known post links to: the spec has a new post link to
+// the heads of its channel. posts without a channel (e.g. post/info and post/delete) have heads of their own
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const { toHex } = require("./hash.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+// tracks the heads of each channel from the posts it is given. opts:
+// * maxLinks: the most links that links() returns (defaults to the maxLinks limit of hardened decoding). when there are
+//   more heads, the latest ones are linked
+class ChannelHeads {
+  constructor(opts) {
+    opts = opts || {}
+    if (opts.maxLinks !== undefined && (!Number.isInteger(opts.maxLinks) || opts.maxLinks < 1)) {
+      throw new InvalidArgumentError(`expected maxLinks to be a positive integer; was ${opts.maxLinks}`, { field: "maxLinks" })
+    }
+    this.maxLinks = opts.maxLinks || constants.DECODE_MAX_LINKS
+    // the heads of each channel, keyed by channel name (null for posts without a channel) and then by hex hash:
+    // { hash, timestamp }
+    this.heads = new Map()
+    // the hex hashes of all posts added, and of all posts linked to by them
+    this.added = new Set()
+    this.linked = new Set()
+    // the heads of the channel that each head is in, keyed by hex hash
+    this.headsOf = new Map()
+  }
+
+  // adds a post (see resolvePost in index.js). returns false if the post was already added, and true otherwise
+  add(post, opts) {
+    const { hash, obj } = cable.resolvePost(post, opts)
+    const id = toHex(hash)
+    if (this.added.has(id)) { return false }
+    this.added.add(id)
+    // 1. the posts linked to are no longer heads, wherever they are
+    obj.links.forEach(link => {
+      const linkId = toHex(link)
+      this.linked.add(linkId)
+      const heads = this.headsOf.get(linkId)
+      if (heads) {
+        heads.delete(linkId)
+        this.headsOf.delete(linkId)
+      }
+    })
+    // 2. the post is a head, unless a post added before it links to it
+    if (!this.linked.has(id)) {
+      const channel = channelOf(obj)
+      if (!this.heads.has(channel)) { this.heads.set(channel, new Map()) }
+      const heads = this.heads.get(channel)
+      heads.set(id, { hash, timestamp: obj.timestamp })
+      this.headsOf.set(id, heads)
+    }
+    return true
+  }
+
+  // returns the hashes of the heads of channel, or of the posts without a channel if channel is null or omitted, sorted
+  // by their bytes
+  getHeads(channel) {
+    const heads = this.heads.get(checkChannel(channel))
+    if (!heads) { return [] }
+    return Array.from(heads.values()).map(head => head.hash).sort(b4a.compare)
+  }
+
+  // returns the links for the next post in channel (or without a channel, if channel is null or omitted): its heads, or
+  // the latest maxLinks of them, sorted by their bytes
+  links(channel) {
+    const heads = this.heads.get(checkChannel(channel))
+    if (!heads) { return [] }
+    let latest = Array.from(heads.values())
+    if (latest.length > this.maxLinks) {
+      // latest first; of heads with the same timestamp, the lowest hash first
+      latest.sort((a, b) => b.timestamp - a.timestamp || b4a.compare(a.hash, b.hash))
+      latest = latest.slice(0, this.maxLinks)
+    }
+    return latest.map(head => head.hash).sort(b4a.compare)
+  }
+
+  // returns the names of all channels with heads
+  channels() {
+    return Array.from(this.heads.keys()).filter(channel => channel !== null && this.heads.get(channel).size > 0)
+  }
+}
+
+// posts of any type with a `channel` field belong to that channel
+function channelOf (obj) {
+  return typeof obj.channel === "string" ? obj.channel : null
+}
+
+function checkChannel (channel) {
+  if (channel === undefined || channel === null) { return null }
+  if (typeof channel !== "string") { throw new InvalidArgumentError("expected channel to be a string or null", { field: "channel" }) }
+  return channel
+}
+
+module.exports = {
+  ChannelHeads
+}
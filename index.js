@@ -7,1186 +7,229 @@
 const b4a = require("b4a")
 const constants = require("./constants.js")
 const varint = require("varint")
-const crypto = require("./cryptography.js")
 const validation = require("./validation.js")
-
-// TODO (2023-01-10):
-// in the create methods: improve resiliency by detecting when the pre-allocated buffer will not be large enough, and reallocate a larger buffer
-
-// TODO (2023-01-11): regarding byte size of a string
-// is it enough to simply do str.length to get the correct byte size? any gotchas?
+const codec = require("./codec.js")
+const crypto = require("./cryptography.js")
+const errors = require("./errors.js")
+const { CableError, ArgumentCountError, InvalidArgumentError, FieldRangeError, WrongTypeError, UnknownTypeError } = errors
+const { TruncatedError, LimitError, TrailingBytesError, Utf8Error, SignatureError, TimeoutError, WorkerExitError } = errors
+const text = require("./text.js")
+const info = require("./info.js")
+const hashing = require("./hash.js")
 
 // TODO (2023-01-11): 
 // would like to abstract away `offset += varint.decode.bytes` in case we swap library / opt for self-authored standard
 
-// TODO (2023-04-18): introduce specific error classes to be able to distinguish between e.g. missing # of parameters (fatal impl error) and lengths of strings (user behaviour, recoverable)
-const LINKS_EXPECTED = new Error("expected links to contain an array of hash-sized buffers")
-const HASHES_EXPECTED = new Error("expected hashes to contain an array of hash-sized buffers")
-const STRINGS_EXPECTED = new Error("expected channels to contain an array of strings")
-function bufferExpected (param, size) {
-  return new Error(`expected ${param} to be a buffer of size ${size}`)
-}
-function bufferExpectedMax (param, max, actual) {
-  return new Error(`expected ${param} to be a buffer of at most ${max} bytes; was ${actual}`)
-}
-function integerExpected (param) {
-  return new Error(`expected ${param} to be an integer`)
-}
-function stringExpected (param) {
-  return new Error(`expected ${param} to be a string`)
-}
-function ttlRangeExpected (param) {
-  return new Error(`expected ttl to be between 0 and 16, was ${param}`)
-}
-
-function wrongNumberArguments(count, actual, functionSignature) {
- return new Error(`${functionSignature} expected ${count} arguments but received ${actual}`) 
-}
-
-class HASH_RESPONSE {
-  static create(reqid, hashes) {
-    if (arguments.length !== 2) { throw wrongNumberArguments(2, arguments.length, "create(reqid, hashes)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.HASH_RESPONSE, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. write amount of hashes (hash_count)
-    offset += writeVarint(hashes.length, frame, offset)
-    // 5. write the hashes themselves
-    hashes.forEach(hash => {
-      offset += hash.copy(frame, offset)
-    })
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, hashes }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.HASH_RESPONSE) {
-      throw new Error("decoded msgType is not of expected type (constants.HASH_RESPONSE)")
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    offset += constants.REQID_SIZE
-    // 5. get hashCount
-    const hashCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 6. use hashCount to slice out the hashes
-    let hashes = []
-    for (let i = 0; i < hashCount; i++) {
-      hashes.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    return { msgLen, msgType, reqid, hashes }
-  }
-}
-
-class POST_RESPONSE {
-  static create(reqid, posts) {
-    if (arguments.length !== 2) { throw wrongNumberArguments(2, arguments.length, "create(reqid, posts)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isArrayData(posts)) { throw new Error(`expected posts to be a buffer`) }
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.POST_RESPONSE, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. exhaust array of posts
-    for (let i = 0; i < posts.length; i++) {
-      // 4.1 write postLen 
-      offset += writeVarint(posts[i].length, frame, offset)
-      // 4.2 then write the post itself
-      offset += posts[i].copy(frame, offset)
-    }
-    // 4.3 finally: write postLen = 0 to signal end of data
-    offset += writeVarint(0, frame, offset)
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, data}
-  static toJSON(buf) {
-    let offset = 0
-    let msgLenBytes
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    msgLenBytes = varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.POST_RESPONSE) {
-      throw new Error("decoded msgType is not of expected type (constants.POST_RESPONSE)")
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    offset += constants.REQID_SIZE
-    // 5. remaining buffer consists of [postLen, post] segments
-    // read until it runs out
-    let posts = []
-    // msgLen tells us the number of bytes in the remaining message i.e. *excluding* msgLen, 
-    // so we need to account for that by adding msgLenBytes
-    let remaining = msgLen - offset + msgLenBytes
-    while (remaining > 0) {
-      const postLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-      // if postLen === 0 then we have no more posts
-      if (postLen === 0) { break }
-      // 6. use postLen to slice out the hashes
-      posts.push(buf.subarray(offset, offset + postLen))
-      offset += postLen
-      
-      remaining = msgLen - offset + msgLenBytes
-    }
-
-    return { msgLen, msgType, reqid, posts }
-  }
-}
-
-const EMPTY_CIRCUIT_ID = b4a.alloc(4).fill(0)
-
-class POST_REQUEST {
-  // constructs a message buffer using the incoming arguments
-  static create(reqid, ttl, hashes) {
-    if (arguments.length !== 3) { throw wrongNumberArguments(3, arguments.length, "create(reqid, ttl, hashes)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.POST_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write amount of hashes (hash_count varint)
-    offset += writeVarint(hashes.length, frame, offset)
-    // 6. write the hashes themselves
-    hashes.forEach(hash => {
-      offset += hash.copy(frame, offset)
-    })
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, ttl, hashes }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.POST_REQUEST) {
-      throw new Error("decoded msgType is not of expected type (constants.POST_REQUEST)")
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    offset += constants.REQID_SIZE
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get hashCount
-    const hashCount = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. use hashCount to slice out the hashes
-    let hashes = []
-    for (let i = 0; i < hashCount; i++) {
-      hashes.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    return { msgLen, msgType, reqid, ttl, hashes }
-  }
-
+const { field, bufferExpected, integerExpected, hashesExpected, ttlRangeExpected, wrongNumberArguments } = codec
+const { prependMsgLen, decodeVarintSlice, encodeVarintBuffer, varintLength, stringLength, messageHeaderLength } = codec
+const { isInteger, ttlRangecorrect, isBufferSize, isArrayData, isArrayString, isArrayHashes } = codec
+
+const HASHES_EXPECTED = hashesExpected("hashes")
+const STRINGS_EXPECTED = new InvalidArgumentError("expected channels to contain an array of strings", { field: "channels" })
+
+function checkTTL (ttl) {
+  if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
+}
+
+/* MESSAGE TYPES */
+// each message type is described by the fields following its reqid, in the order they are encoded. create() takes
+// reqid followed by the fields, and toJSON() returns { msgLen, msgType, reqid, ...fields } (see codec.js)
+
+// create(reqid, hashes)
+class HASH_RESPONSE extends codec.message("HASH_RESPONSE", constants.HASH_RESPONSE, [
+  field.hashes("hashes")
+]) {}
+
+// create(reqid, posts)
+class POST_RESPONSE extends codec.message("POST_RESPONSE", constants.POST_RESPONSE, [
+  // in portable json, each post is represented by its own decoded portable form
+  field.list("posts", field.DATA, {
+    portable: {
+      toPortable: (post, encoding) => toPortableJSON(parsePost(post), { encoding }),
+      fromPortable: (json, encoding) => encodePost(fromPortableJSON(json, { encoding }))
+    },
+    limit: "maxPosts",
+    normalize: hashing.toPostBuffer
+  })
+]) {}
+
+// create(reqid, ttl, hashes)
+class POST_REQUEST extends codec.message("POST_REQUEST", constants.POST_REQUEST, [
+  field.varint("ttl", checkTTL),
+  field.hashes("hashes")
+]) {
   static decrementTTL(buf) {
     return insertNewTTL(buf, constants.POST_REQUEST)
   }
 }
 
-class CANCEL_REQUEST {
-  // constructs a message buffer using the incoming arguments
-  static create(reqid, ttl, cancelid) {
-    if (arguments.length !== 3) { throw wrongNumberArguments(3, arguments.length, "create(reqid, ttl, cancelid)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isBufferSize(cancelid, constants.REQID_SIZE)) { throw bufferExpected("cancelid", constants.REQID_SIZE) }
-
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CANCEL_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 3. write ttl (unused)
-    offset += writeVarint(ttl, frame, offset)
-    // 4. write cancelid
-    offset += cancelid.copy(frame, offset)
-
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, cancelid }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CANCEL_REQUEST) {
-      throw new Error("decoded msgType is not of expected type (constants.CANCEL_REQUEST)")
-    }
-
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    // 5. get ttl (unused for cancel request)
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get cancelid
-    const cancelid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-
-    return { msgLen, msgType, reqid, ttl, cancelid }
-  }
-}
-
-class TIME_RANGE_REQUEST {
-  static create(reqid, ttl, channel, timeStart, timeEnd, limit) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(reqid, ttl, channel, timeStart, timeEnd, limit)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(timeStart)) { throw integerExpected("timeStart") }
-    if (!isInteger(timeEnd)) { throw integerExpected("timeEnd") }
-    if (!isInteger(limit)) { throw integerExpected("limit") }
-
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.TIME_RANGE_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    // 5. write channel_len
-    offset += writeVarint(channelBuf.length, frame, offset)
-    // 6. write the channel
-    offset += channelBuf.copy(frame, offset)
-    // 7. write time_start
-    offset += writeVarint(timeStart, frame, offset)
-    // 8. write time_end
-    offset += writeVarint(timeEnd, frame, offset)
-    // 9. write limit
-    offset += writeVarint(limit, frame, offset)
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-  
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, ttl, channel, timeStart, timeEnd, limit }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.TIME_RANGE_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.TIME_RANGE_REQUEST)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. use channelLen to slice out the channel
-    const channelBuf = buf.subarray(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = channelBuf.toString("utf8")
-    // 8. get timeStart
-    const timeStart = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 9. get timeEnd
-    const timeEnd = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. get limit
-    const limit = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-
-    return { msgLen, msgType, reqid, ttl, channel, timeStart, timeEnd, limit }
-  }
+// create(reqid, ttl, cancelid)
+class CANCEL_REQUEST extends codec.message("CANCEL_REQUEST", constants.CANCEL_REQUEST, [
+  // ttl is unused for cancel requests
+  field.varint("ttl", checkTTL),
+  field.bytes("cancelid", constants.REQID_SIZE)
+]) {}
 
+// create(reqid, ttl, channel, timeStart, timeEnd, limit)
+class TIME_RANGE_REQUEST extends codec.message("TIME_RANGE_REQUEST", constants.TIME_RANGE_REQUEST, [
+  field.varint("ttl", checkTTL),
+  field.string("channel", validation.checkChannelName),
+  field.varint("timeStart"),
+  field.varint("timeEnd"),
+  field.varint("limit")
+]) {
   static decrementTTL(buf) {
     return insertNewTTL(buf, constants.TIME_RANGE_REQUEST)
   }
 }
 
-class CHANNEL_STATE_REQUEST {
-  static create(reqid, ttl, channel, future) {
-    if (arguments.length !== 4) { throw wrongNumberArguments(4, arguments.length, "create(reqid, ttl, channel, future)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(future)) { throw integerExpected("future") }
-
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CHANNEL_STATE_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    // 5. write channel_len
-    offset += writeVarint(channelBuf.length, frame, offset)
-    // 6. write the channel
-    offset += channelBuf.copy(frame, offset)
-    // 7. write future
-    offset += writeVarint(future, frame, offset)
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, ttl, channel, future }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CHANNEL_STATE_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.CHANNEL_STATE_REQUEST)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. use channelLen to slice out channel
-    const channelBuf = buf.subarray(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = channelBuf.toString("utf8")
-    // 8. get future
-    const future = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-
-    return { msgLen, msgType, reqid, ttl, channel, future }
-  }
-
+// create(reqid, ttl, channel, future)
+class CHANNEL_STATE_REQUEST extends codec.message("CHANNEL_STATE_REQUEST", constants.CHANNEL_STATE_REQUEST, [
+  field.varint("ttl", checkTTL),
+  field.string("channel", validation.checkChannelName),
+  field.varint("future")
+]) {
   static decrementTTL(buf) {
     return insertNewTTL(buf, constants.CHANNEL_STATE_REQUEST)
   }
 }
 
-class CHANNEL_LIST_REQUEST {
-  static create(reqid, ttl, argOffset, limit) {
-    if (arguments.length !== 4) { throw wrongNumberArguments(4, arguments.length, "create(reqid, ttl, offset, limit)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isInteger(ttl)) { throw integerExpected("ttl") }
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    if (!isInteger(argOffset)) { throw integerExpected("offset") }
-    if (!isInteger(limit)) { throw integerExpected("limit") }
-
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CHANNEL_LIST_REQUEST, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. write ttl
-    offset += writeVarint(ttl, frame, offset)
-    // 5. write offset 
-    offset += writeVarint(argOffset, frame, offset)
-    // 6. write limit 
-    offset += writeVarint(limit, frame, offset)
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, ttl, limit }
-  static toJSON(buf) {
-    let offset = 0
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CHANNEL_LIST_REQUEST) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.CHANNEL_LIST_REQUEST)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 5. get ttl
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (!ttlRangecorrect(ttl)) { throw ttlRangeExpected(ttl) }
-    // 6. get offset
-    const argOffset = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get limit
-    const limit = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-
-    return { msgLen, msgType, reqid, ttl, offset: argOffset, limit }
-  }
-
+// create(reqid, ttl, offset, limit)
+class CHANNEL_LIST_REQUEST extends codec.message("CHANNEL_LIST_REQUEST", constants.CHANNEL_LIST_REQUEST, [
+  field.varint("ttl", checkTTL),
+  field.varint("offset"),
+  field.varint("limit")
+]) {
   static decrementTTL(buf) {
     return insertNewTTL(buf, constants.CHANNEL_LIST_REQUEST)
   }
 }
 
-class CHANNEL_LIST_RESPONSE {
-  static create(reqid, channels) {
-    if (arguments.length !== 2) { throw wrongNumberArguments(2, arguments.length, "create(reqid, channels)") }
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    if (!isArrayString(channels)) { throw STRINGS_EXPECTED }
-
-    // allocate default-sized buffer
-    let frame = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    let offset = 0
-    // 1. write message type
-    offset += writeVarint(constants.CHANNEL_LIST_RESPONSE, frame, offset)
-    // 2. write circuitid (unused spec rev 2023-04)
-    offset += EMPTY_CIRCUIT_ID.copy(frame, offset)
-    // 3. write reqid
-    offset += reqid.copy(frame, offset)
-    // 4. write channels
-    channels.forEach(channel => {
-      // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-      const channelBuf = b4a.from(channel, "utf8")
-      validation.checkChannelName(channelBuf)
-      // 4.1 write channelLen
-      offset += writeVarint(channelBuf.length, frame, offset)
-      // 4.2 write channel
-      offset += channelBuf.copy(frame, offset)
-    })
-    // 4.3 finally: write a channelLen = 0 to signal end of channel data
-    offset += writeVarint(0, frame, offset)
-    // resize buffer, since we have written everything except msglen
-    frame = frame.subarray(0, offset)
-    return prependMsgLen(frame)
-  }
-  // takes a message buffer and returns the json object: 
-  // { msgLen, msgType, reqid, channels }
-  static toJSON(buf) {
-    let offset = 0
-    let msgLenBytes 
-    // 1. get msgLen
-    const msgLen = decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    msgLenBytes = varint.decode.bytes
-    if (!isBufferSize(buf.subarray(offset), msgLen)) { throw bufferExpected("remaining buf", msgLen) }
-    // 2. get msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== constants.CHANNEL_LIST_RESPONSE) {
-      return new Error(`"decoded msgType (${msgType}) is not of expected type (constants.CHANNEL_LIST_RESPONSE)`)
-    }
-    // 3. skip circuit (unused spec rev 2023-04)
-    offset += constants.CIRCUITID_SIZE
-    // 4. get reqid
-    const reqid = buf.subarray(offset, offset+constants.REQID_SIZE)
-    offset += constants.REQID_SIZE
-    if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
-    // 5. get channels
-    const channels = []
-    // msgLen tells us the number of bytes in the remaining message i.e. *excluding* msgLen, 
-    // so we need to account for that by adding msgLenBytes
-    let remaining = msgLen - offset + msgLenBytes
-    while (remaining > 0) {
-    // get channel size
-      const channelLen = decodeVarintSlice(buf, offset)
-      offset += varint.decode.bytes
-      // if channelLen === 0 then we have no more channels in this response
-      if (channelLen === 0) { break }
-      // 6. use channelLen to slice out the channel
-      const channelBuf = buf.subarray(offset, offset + channelLen)
-      offset += channelLen
-      validation.checkChannelName(channelBuf)
-      const channel = channelBuf.toString("utf8")
-      channels.push(channel)
-      remaining = msgLen - offset + msgLenBytes
-    }
-
-    return { msgLen, msgType, reqid, channels }
-  }
-}
-
-class TEXT_POST {
-  static create(publicKey, secretKey, links, channel, timestamp, text) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(publicKey, secretKey, links, channel, timestamp, text)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isString(text)) { throw stringExpected("text") }
-    
-    let offset = 0
-    const buf = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    // 1. write public key
-    offset += publicKey.copy(buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += link.copy(buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.TEXT_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += channelBuf.copy(buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const textBuf = b4a.from(text, "utf8")
-    validation.checkPostText(textBuf)
-    // 9. write textLen
-    offset += writeVarint(textBuf.length, buf, offset)
-    // 10. write the text
-    offset += textBuf.copy(buf, offset)
-
-    // everything has now been written, slice out the final message from the larger buffer
-    const message = buf.subarray(0, offset)
-    // now, time to make a signature
-    crypto.sign(message, secretKey)
-    validation.checkSignature(message, publicKey)
-
-    return message
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp, text }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.TEXT_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.TEXT_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.subarray(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = channelBuf.toString("utf8")
-    // 9. get textLen
-    const textLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. use textLen to get text
-    const textBuf = buf.subarray(offset, offset + textLen)
-    offset += textLen
-    validation.checkPostText(textBuf)
-    const text = textBuf.toString("utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp, text }
-  }
-}
-
-class DELETE_POST {
-  static create(publicKey, secretKey, links, timestamp, hashes) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, timestamp, hash)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-    
-    let offset = 0
-    const buf = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    // 1. write public key
-    offset += publicKey.copy(buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += link.copy(buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.DELETE_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // 7. write num_deletions, which represents how many hashes we are requesting peers to delete
-    offset += writeVarint(hashes.length, buf, offset)
-    // 8. write the hashes themselves
-    hashes.forEach(hash => {
-      offset += hash.copy(buf, offset)
-    })
-    
-    // everything has now been written, slice out the final message from the larger buffer
-    const message = buf.subarray(0, offset)
-    // now, time to make a signature
-    crypto.sign(message, secretKey)
-    validation.checkSignature(message, publicKey)
-
-    return message
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, timestamp, hash }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.DELETE_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.DELETE_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get num_deletions
-    const numDeletions = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    let hashes = []
-    // 8. get the hashes
-    for (let i = 0; i < numDeletions; i++) {
-      hashes.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(hashes)) { throw HASHES_EXPECTED }
-
-    return { publicKey, signature, links, postType, timestamp, hashes }
-  }
-}
-  
-// TODO (2023-04-20): take a list of [key, value] instead of a single pair
-class INFO_POST {
-  static create(publicKey, secretKey, links, timestamp, key, value) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(publicKey, secretKey, links, timestamp, key, value)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isString(key)) { throw stringExpected("key") }
-    if (!isString(value)) { throw stringExpected("value") }
-    
-    let offset = 0
-    const buf = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    // 1. write public key
-    offset += publicKey.copy(buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += link.copy(buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.INFO_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const keyBuf = b4a.from(key, "utf8")
-    validation.checkInfoKey(keyBuf)
-    // 7. write keyLen
-    offset += writeVarint(keyBuf.length, buf, offset)
-    // 8. write the key
-    offset += keyBuf.copy(buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const valueBuf = b4a.from(value, "utf8")
-    validation.checkInfoValue(valueBuf)
-    if (key === "name") {
-      validation.checkUsername(valueBuf)
-    }
-    // 9. write valueLen
-    offset += writeVarint(valueBuf.length, buf, offset)
-    // 10. write the value
-    offset += valueBuf.copy(buf, offset)
-    
-    // everything has now been written, slice out the final message from the larger buffer
-    const message = buf.subarray(0, offset)
-    // now, time to make a signature
-    crypto.sign(message, secretKey)
-    validation.checkSignature(message, publicKey)
-
-    return message
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, timestamp, key, value }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.INFO_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.INFO_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get keyLen
-    const keyLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use keyLen to get key
-    const keyBuf = buf.subarray(offset, offset + keyLen)
-    offset += keyLen
-    validation.checkInfoKey(keyBuf)
-    const key = keyBuf.toString("utf8")
-    // 9. get valueLen
-    const valueLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. use valueLen to get value
-    const valueBuf = buf.subarray(offset, offset + valueLen)
-    offset += valueLen
-    validation.checkInfoValue(valueBuf)
-    if (key === "name") {
-      validation.checkUsername(valueBuf)
-    }
-    const value = valueBuf.toString("utf8")
-
-    return { publicKey, signature, links, postType, timestamp, key, value }
-  }
-}
-
-class TOPIC_POST {
-  static create(publicKey, secretKey, links, channel, timestamp, topic) {
-    if (arguments.length !== 6) { throw wrongNumberArguments(6, arguments.length, "create(publicKey, secretKey, links, channel, timestamp, topic)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(timestamp)) { throw integerExpected("timestamp") }
-    if (!isString(topic)) { throw stringExpected("topic") }
-
-    let offset = 0
-    const buf = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    // 1. write public key
-    offset += publicKey.copy(buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += link.copy(buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.TOPIC_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += channelBuf.copy(buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const topicBuf = b4a.from(topic, "utf8")
-    validation.checkTopic(topicBuf)
-    // 9. write topicLen
-    offset += writeVarint(topicBuf.length, buf, offset)
-    // 10. write the topic
-    offset += topicBuf.copy(buf, offset)
-    
-    // everything has now been written, slice out the final message from the larger buffer
-    const message = buf.subarray(0, offset)
-    // now, time to make a signature
-    crypto.sign(message, secretKey)
-    validation.checkSignature(message, publicKey)
-
-    return message
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp, topic }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.TOPIC_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.TOPIC_POST)`)
+// create(reqid, channels)
+class CHANNEL_LIST_RESPONSE extends codec.message("CHANNEL_LIST_RESPONSE", constants.CHANNEL_LIST_RESPONSE, [
+  field.list("channels", field.STRING, { check: validation.checkChannelName, limit: "maxChannels" })
+]) {}
+
+/* POST TYPES */
+// each post type is described by the parameters of its create(), and by the fields following its timestamp in the
+// order they are encoded. toJSON() returns { publicKey, signature, links, postType, ...parameters } (see codec.js)
+
+class TEXT_POST extends codec.post("TEXT_POST", constants.TEXT_POST,
+  ["publicKey", "secretKey", "links", "channel", "timestamp", "text"], [
+    field.string("channel", validation.checkChannelName),
+    field.string("text", validation.checkPostText)
+  ]) {}
+
+class DELETE_POST extends codec.post("DELETE_POST", constants.DELETE_POST,
+  ["publicKey", "secretKey", "links", "timestamp", "hashes"], [
+    field.hashes("hashes")
+  ]) {}
+
+// create(publicKey, secretKey, links, timestamp, info) where info is a list of [key, value] pairs, e.g.
+// [["name", "cabler"], ["bio", "hello"]]
+class INFO_POST extends codec.post("INFO_POST", constants.INFO_POST,
+  ["publicKey", "secretKey", "links", "timestamp", "info"], [
+    field.pairs("info", info.checkInfo)
+  ]) {}
+
+class TOPIC_POST extends codec.post("TOPIC_POST", constants.TOPIC_POST,
+  ["publicKey", "secretKey", "links", "channel", "timestamp", "topic"], [
+    field.string("channel", validation.checkChannelName),
+    field.string("topic", validation.checkTopic)
+  ]) {}
+
+class JOIN_POST extends codec.post("JOIN_POST", constants.JOIN_POST,
+  ["publicKey", "secretKey", "links", "channel", "timestamp"], [
+    field.string("channel", validation.checkChannelName)
+  ]) {}
+
+class LEAVE_POST extends codec.post("LEAVE_POST", constants.LEAVE_POST,
+  ["publicKey", "secretKey", "links", "channel", "timestamp"], [
+    field.string("channel", validation.checkChannelName)
+  ]) {}
+
+// the response types that carry a list of items, with how each item contributes to the size of a response and how
+// large the list itself is for a given count of items and total item size. `normalize`, if any, converts each item
+// (e.g. a PostRef) into the kind of item the response holds
+const RESPONSE_LISTS = {
+  [constants.HASH_RESPONSE]: {
+    create: (reqid, hashes) => HASH_RESPONSE.create(reqid, hashes),
+    normalize: hashing.toHash,
+    isItems: isArrayHashes,
+    itemsExpected: HASHES_EXPECTED,
+    itemLength: () => constants.HASH_SIZE,
+    // hash_count is written before the hashes
+    listLength: (count, itemsLength) => varintLength(count) + itemsLength
+  },
+  [constants.POST_RESPONSE]: {
+    create: (reqid, posts) => POST_RESPONSE.create(reqid, posts),
+    normalize: hashing.toPostBuffer,
+    isItems: isArrayData,
+    itemsExpected: new InvalidArgumentError("expected posts to contain an array of buffers", { field: "posts" }),
+    itemLength: (post) => varintLength(post.length) + post.length,
+    // the posts are terminated by postLen = 0
+    listLength: (count, itemsLength) => itemsLength + varintLength(0)
+  },
+  [constants.CHANNEL_LIST_RESPONSE]: {
+    create: (reqid, channels) => CHANNEL_LIST_RESPONSE.create(reqid, channels),
+    // create() encodes channels in NFC, which may be longer than the channels as given
+    normalize: field.STRING.normalize,
+    isItems: isArrayString,
+    itemsExpected: STRINGS_EXPECTED,
+    itemLength: (channel) => stringLength(b4a.from(channel, "utf8")),
+    // the channels are terminated by channelLen = 0
+    listLength: (count, itemsLength) => itemsLength + varintLength(0)
+  }
+}
+
+// takes the full list of items (hashes, posts or channels, depending on msgType) answering the request identified by
+// reqid and splits them across as many responses as needed for each cablegram, including its msgLen, to be at most
+// maxMessageSize bytes. pass { conclude: true } to end with an empty response, signalling that the request is concluded
+function createResponses (msgType, reqid, items, maxMessageSize, opts) {
+  if (arguments.length < 4) { throw wrongNumberArguments(4, arguments.length, "createResponses(msgType, reqid, items, maxMessageSize, opts?)") }
+  const list = RESPONSE_LISTS[msgType]
+  if (!list) { throw new InvalidArgumentError(`expected msgType to be a response type carrying a list; was ${msgType}`, { field: "msgType" }) }
+  if (!isBufferSize(reqid, constants.REQID_SIZE)) { throw bufferExpected("reqid", constants.REQID_SIZE) }
+  if (list.normalize && Array.isArray(items)) { items = items.map(list.normalize) }
+  if (!list.isItems(items)) { throw list.itemsExpected }
+  if (!isInteger(maxMessageSize)) { throw integerExpected("maxMessageSize") }
+  opts = opts || {}
+
+  const headerLength = messageHeaderLength(msgType)
+  // the size of a complete cablegram, including msgLen, with the given list size
+  const cablegramLength = (count, itemsLength) => {
+    const msgLen = headerLength + list.listLength(count, itemsLength)
+    return varintLength(msgLen) + msgLen
+  }
+  if (cablegramLength(0, 0) > maxMessageSize) {
+    throw new FieldRangeError(`expected maxMessageSize to fit at least an empty response (${cablegramLength(0, 0)} bytes); was ${maxMessageSize}`, { field: "maxMessageSize" })
+  }
+
+  const responses = []
+  let batch = []
+  let batchLength = 0
+  items.forEach(item => {
+    const itemLength = list.itemLength(item)
+    if (cablegramLength(batch.length + 1, batchLength + itemLength) > maxMessageSize) {
+      if (batch.length === 0) {
+        throw new FieldRangeError(`expected each item to fit within maxMessageSize (${maxMessageSize} bytes)`, { field: "maxMessageSize" })
+      }
+      responses.push(list.create(reqid, batch))
+      batch = []
+      batchLength = 0
     }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.subarray(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = channelBuf.toString("utf8")
-    // 9. get topicLen
-    const topicLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 10. use topicLen to get topic
-    const topicBuf = buf.subarray(offset, offset + topicLen)
-    offset += topicLen
-    validation.checkTopic(topicBuf)
-    const topic = topicBuf.toString("utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp, topic }
+    batch.push(item)
+    batchLength += itemLength
+  })
+  if (batch.length > 0) {
+    responses.push(list.create(reqid, batch))
   }
-}
-
-class JOIN_POST {
-  static create(publicKey, secretKey, links, channel, timestamp) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, channel, timestamp)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(timestamp)) { throw integerExpected("timestamp") }
-    
-    let offset = 0
-    const buf = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    // 1. write public key
-    offset += publicKey.copy(buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += link.copy(buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.JOIN_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += channelBuf.copy(buf, offset)
-    
-    // everything has now been written, slice out the final message from the larger buffer
-    const message = buf.subarray(0, offset)
-    // now, time to make a signature
-    crypto.sign(message, secretKey)
-    validation.checkSignature(message, publicKey)
-
-    return message
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.JOIN_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.JOIN_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.subarray(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = channelBuf.toString("utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp }
+  if (opts.conclude) {
+    responses.push(list.create(reqid, []))
   }
+  return responses
 }
 
-class LEAVE_POST {
-  static create(publicKey, secretKey, links, channel, timestamp) {
-    if (arguments.length !== 5) { throw wrongNumberArguments(5, arguments.length, "create(publicKey, secretKey, links, channel, timestamp)") }
-    if (!isBufferSize(publicKey, constants.PUBLICKEY_SIZE)) { throw bufferExpected("publicKey", constants.PUBLICKEY_SIZE) }
-    if (!isBufferSize(secretKey, constants.SECRETKEY_SIZE)) { throw bufferExpected("secretKey", constants.SECRETKEY_SIZE) }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    if (!isString(channel)) { throw stringExpected("channel") }
-    if (!isInteger(timestamp)) { throw integerExpected("timestamp") }
-    
-    let offset = 0
-    const buf = b4a.alloc(constants.DEFAULT_BUFFER_SIZE)
-    // 1. write public key
-    offset += publicKey.copy(buf, 0)
-    // 2. make space for signature, which is done last of all.
-    offset += constants.SIGNATURE_SIZE
-    // 3. write num_links, whose entries each represents a hash i.e. a buffer
-    offset += writeVarint(links.length, buf, offset)
-    // 4. write the links themselves
-    links.forEach(link => {
-      offset += link.copy(buf, offset)
-    })
-    // 5. write postType
-    offset += writeVarint(constants.LEAVE_POST, buf, offset)
-    // 6. write timestamp
-    offset += writeVarint(timestamp, buf, offset)
-    // convert to buf: yields correct length wrt utf-8 bytes + used when copying
-    const channelBuf = b4a.from(channel, "utf8")
-    validation.checkChannelName(channelBuf)
-    // 7. write channelLen
-    offset += writeVarint(channelBuf.length, buf, offset)
-    // 8. write the channel
-    offset += channelBuf.copy(buf, offset)
-    
-    // everything has now been written, slice out the final message from the larger buffer
-    const message = buf.subarray(0, offset)
-    // now, time to make a signature
-    crypto.sign(message, secretKey)
-    validation.checkSignature(message, publicKey)
-
-    return message
-  }
-
-  static toJSON(buf) {
-    // { publicKey, signature, links, postType, channel, timestamp }
-    let offset = 0
-    // 1. get publicKey
-    const publicKey = buf.subarray(0, constants.PUBLICKEY_SIZE)
-    offset += constants.PUBLICKEY_SIZE
-    // 2. get signature
-    const signature = buf.subarray(offset, offset + constants.SIGNATURE_SIZE)
-    offset += constants.SIGNATURE_SIZE
-    // verify signature is correct
-    validation.checkSignature(buf, publicKey)
-    // 3. get numLinks
-    const numLinks = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 4. use numLinks to slice out the links
-    let links = []
-    for (let i = 0; i < numLinks; i++) {
-      links.push(buf.subarray(offset, offset + constants.HASH_SIZE))
-      offset += constants.HASH_SIZE
-    }
-    if (!isArrayHashes(links)) { throw LINKS_EXPECTED }
-    // 5. get postType
-    const postType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (postType !== constants.LEAVE_POST) {
-      return new Error(`"decoded postType (${postType}) is not of expected type (constants.LEAVE_POST)`)
-    }
-    // 6. get timestamp
-    const timestamp = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 7. get channelLen
-    const channelLen = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    // 8. use channelLen to get channel
-    const channelBuf = buf.subarray(offset, offset + channelLen)
-    offset += channelLen
-    validation.checkChannelName(channelBuf)
-    const channel = channelBuf.toString("utf8")
-
-    return { publicKey, signature, links, postType, channel, timestamp }
-  }
-}
-
-
 // peek returns the buf type of a message
 function peekMessage (buf) {
   // decode msg len, and discard
@@ -1206,6 +249,9 @@ function peekReqid (buf) {
   // skip circuitid
   offset += constants.CIRCUITID_SIZE
   // read & return reqid
+  if (offset + constants.REQID_SIZE > buf.length) {
+    throw new TruncatedError(`expected a reqid at offset ${offset}, but the buffer ends before that`, { field: "reqid", offset })
+  }
   return buf.subarray(offset, offset+constants.REQID_SIZE)
 }
 
@@ -1216,198 +262,185 @@ function peekPost (buf) {
   // read numLinks
   const numLinks = decodeVarintSlice(buf, offset)
   offset += varint.decode.bytes
-  // skip reading links
+  // skip reading links, which must fit within buf
+  if (numLinks > (buf.length - offset) / constants.HASH_SIZE) {
+    throw new TruncatedError(`expected ${numLinks} links at offset ${offset}, but the buffer ends before that`, { field: "links", offset })
+  }
   offset += numLinks * constants.HASH_SIZE
   // finally: read & return the post type
   return decodeVarintSlice(buf, offset)
 }
 
-function parsePost (buf) {
-  const postType = peekPost(buf)
-  let obj
-  switch (postType) {
-    case constants.TEXT_POST:
-      obj = TEXT_POST.toJSON(buf)
-      break
-    case constants.DELETE_POST:
-      obj = DELETE_POST.toJSON(buf)
-      break
-    case constants.INFO_POST:
-      obj = INFO_POST.toJSON(buf)
-      break
-    case constants.TOPIC_POST:
-      obj = TOPIC_POST.toJSON(buf)
-      break
-    case constants.JOIN_POST:
-      obj = JOIN_POST.toJSON(buf)
-      break
-    case constants.LEAVE_POST:
-      obj = LEAVE_POST.toJSON(buf)
-      break
-    default:
-      throw new Error(`parse post: unknown post type (${postType})`)
-  }
-  return obj
+// message and post types keyed by their msgType and postType respectively
+const MESSAGE_TYPES = {
+  [constants.HASH_RESPONSE]: HASH_RESPONSE,
+  [constants.POST_RESPONSE]: POST_RESPONSE,
+  [constants.POST_REQUEST]: POST_REQUEST,
+  [constants.CANCEL_REQUEST]: CANCEL_REQUEST,
+  [constants.TIME_RANGE_REQUEST]: TIME_RANGE_REQUEST,
+  [constants.CHANNEL_STATE_REQUEST]: CHANNEL_STATE_REQUEST,
+  [constants.CHANNEL_LIST_REQUEST]: CHANNEL_LIST_REQUEST,
+  [constants.CHANNEL_LIST_RESPONSE]: CHANNEL_LIST_RESPONSE
 }
 
-// a message is either a request or a response; not a post (for posts, see parsePost)
-function parseMessage (buf) {
-  const msgType = peekMessage(buf)
-  let obj
-  switch (msgType) {
-    case constants.HASH_RESPONSE:
-      obj = HASH_RESPONSE.toJSON(buf)
-      break
-    case constants.POST_RESPONSE:
-      obj = POST_RESPONSE.toJSON(buf)
-      break
-    case constants.POST_REQUEST:
-      obj = POST_REQUEST.toJSON(buf)
-      break
-    case constants.CANCEL_REQUEST:
-      obj = CANCEL_REQUEST.toJSON(buf)
-      break
-    case constants.TIME_RANGE_REQUEST:
-      obj = TIME_RANGE_REQUEST.toJSON(buf)
-      break
-    case constants.CHANNEL_STATE_REQUEST:
-      obj = CHANNEL_STATE_REQUEST.toJSON(buf)
-      break
-    case constants.CHANNEL_LIST_REQUEST:
-      obj = CHANNEL_LIST_REQUEST.toJSON(buf)
-      break
-    case constants.CHANNEL_LIST_RESPONSE:
-      obj = CHANNEL_LIST_RESPONSE.toJSON(buf)
-      break
-    default:
-      throw new Error(`parse post: unknown post type (${postType})`)
-  }
-  return obj
+const POST_TYPES = {
+  [constants.TEXT_POST]: TEXT_POST,
+  [constants.DELETE_POST]: DELETE_POST,
+  [constants.INFO_POST]: INFO_POST,
+  [constants.TOPIC_POST]: TOPIC_POST,
+  [constants.JOIN_POST]: JOIN_POST,
+  [constants.LEAVE_POST]: LEAVE_POST
 }
 
-function insertNewTTL(buf, expectedType) {
-    let offset = 0
-    // 1. msgLen
-    decodeVarintSlice(buf, 0)
-    offset += varint.decode.bytes
-    const msgLenOffset = offset
-    // 2. msgType
-    const msgType = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    if (msgType !== expectedType) {
-      throw new Error(`decoded msgType is not of expected type (expected ${expectedType}, was ${msgType})`)
-    }
-    // 3. circuitid
-    offset += constants.CIRCUITID_SIZE
-    // 4. reqid
-    offset += constants.REQID_SIZE
-    // get ttl
-    const beforeTTL = buf.subarray(msgLenOffset, offset)
-    const ttl = decodeVarintSlice(buf, offset)
-    offset += varint.decode.bytes
-    const afterTTL = buf.subarray(offset)
+// adds a custom type to the types used when parsing, encoding and converting to and from portable json. `type` is a
+// class as generated by codec.message() (or codec.post() for registerPostType), or any object with the same static
+// methods: toJSON, encode, toPortableJSON and fromPortableJSON. ids of built-in or already registered types are rejected
+function registerType (types, kind, id, type) {
+  if (!isInteger(id) || id < 0) { throw new InvalidArgumentError(`expected ${kind} to be a non-negative integer; was ${id}`, { field: kind }) }
+  if (Object.prototype.hasOwnProperty.call(types, id)) {
+    throw new InvalidArgumentError(`expected ${kind} ${id} to not already be in use by ${types[id].name || "another type"}`, { field: kind })
+  }
+  const methods = ["toJSON", "encode", "toPortableJSON", "fromPortableJSON"]
+  if (!type || !methods.every(method => typeof type[method] === "function")) {
+    throw new InvalidArgumentError(`expected type to have the methods ${methods.join(", ")}`, { field: "type" })
+  }
+  // types generated by codec.message() and codec.post() know their own id
+  if (type.schema && type.schema[kind] !== undefined && type.schema[kind] !== id) {
+    throw new InvalidArgumentError(`expected ${kind} ${id} to be the one of the type's schema; was ${type.schema[kind]}`, { field: kind })
+  }
+  types[id] = type
+}
 
-    // decrement ttl
-    const newTTL = ttl - 1
-    if (newTTL < 0) { throw new Error("ttl negative") }
+function registerPostType (postType, type) {
+  registerType(POST_TYPES, "postType", postType, type)
+}
 
-    const newBuf = b4a.concat([beforeTTL, encodeVarintBuffer(newTTL), afterTTL])
-    return prependMsgLen(newBuf)
+function registerMessageType (msgType, type) {
+  registerType(MESSAGE_TYPES, "msgType", msgType, type)
 }
 
-function prependMsgLen (buf) {
-  const msglen = encodeVarintBuffer(buf.length)
-  // prepend msglen before the contents and we're done
-  return b4a.concat([msglen, buf])
+// posts and messages of types unknown to cable.js (e.g. introduced by a newer revision of the spec) are decoded into
+// opaque objects, with `unknown: true` and their bytes as `raw`, so that they can still be stored and forwarded
+const UNKNOWN_POST = codec.opaquePost()
+const UNKNOWN_MESSAGE = codec.opaqueMessage()
+
+function getPostType (postType) {
+  if (!Object.prototype.hasOwnProperty.call(POST_TYPES, postType)) {
+    return UNKNOWN_POST
+  }
+  return POST_TYPES[postType]
 }
 
-// attempt to extract a varint from a buffer `frame`, starting at `offset`
-function decodeVarintSlice (frame, offset) {
-  let decodedSlice
-  let sliceEnd 
-  for (let i = 1; i < constants.MAX_VARINT_SIZE; i++) {
-    sliceEnd = offset + i 
-    const frameSlice = frame.subarray(offset, sliceEnd)
-    try {
-      decodedSlice = varint.decode(frameSlice)
-      return decodedSlice
-    } catch (e) {
-      if (e instanceof RangeError) {
-        continue
-      }
-      throw RangeError
-    }
+function getMessageType (msgType) {
+  if (!Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, msgType)) {
+    return UNKNOWN_MESSAGE
   }
-  return decodedSlice
+  return MESSAGE_TYPES[msgType]
 }
 
-function isInteger(n) {
-  return Number.isInteger(n)
+// pass { verify: false } to skip verifying the post's signature, e.g. for posts that were verified when first received.
+// opts may also harden decoding, like for parseMessage
+function parsePost (buf, opts) {
+  return getPostType(peekPost(buf)).toJSON(buf, opts)
 }
 
-function ttlRangecorrect(ttl) {
-  return ttl >= 0 && ttl <= 16
+// returns true if the signature of the post in buf was made by its publicKey. unlike parsePost, the rest of the post
+// is not decoded. a buffer too short to hold a publicKey and signature does not verify
+function verifyPost (buf) {
+  if (!b4a.isBuffer(buf)) { throw new InvalidArgumentError("expected post to be a buffer") }
+  if (buf.length < constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE) { return false }
+  return crypto.verify(buf, buf.subarray(0, constants.PUBLICKEY_SIZE))
 }
 
-function isBufferSize(b, SIZE) {
-  if (b4a.isBuffer(b)) {
-    return b.length === SIZE
-  }
-  return false
+// a message is either a request or a response; not a post (for posts, see parsePost). pass { hardened: true }, or
+// { limits } to override some of DEFAULT_DECODE_LIMITS, when decoding untrusted input (see decodeLimits in codec.js)
+function parseMessage (buf, opts) {
+  return getMessageType(peekMessage(buf)).toJSON(buf, opts)
 }
 
-function isString (s) {
-  return typeof s === "string"
+// the inverse of parsePost: takes an object as returned by parsePost (or any post type's toJSON) and encodes it,
+// dispatching on obj.postType. the post is signed using secretKey; if secretKey is omitted, the post's existing
+// obj.signature is used instead, and verified unless opts.verify is false. encodePost(parsePost(buf)) returns a buffer
+// identical to buf
+function encodePost (obj, secretKey, opts) {
+  if (!obj || typeof obj !== "object") { throw new InvalidArgumentError("expected post to be an object") }
+  return getPostType(obj.postType).encode(obj, secretKey, opts)
 }
 
-function isArrayData (arr) {
-  if (Array.isArray(arr)) {
-    for (let i = 0; i < arr.length; i++) {
-      if (!b4a.isBuffer(arr[i])) {
-        return false
-      }
-    }
-    return true
+// takes a post as a buffer (decoded like parsePost(buf, opts)), a PostRef or an object returned by parsePost, and returns
+// { hash, obj }: its hash and its decoded form. decoded posts are encoded again to hash them. the signature of each is
+// verified unless opts.verify is false, e.g. for posts that were verified when first received. the add() methods of ChannelHeads, CausalOrder, ChannelState and Deletions take
+// any of these
+function resolvePost (post, opts) {
+  if (b4a.isBuffer(post)) {
+    return { hash: hashing.hashPost(post), obj: parsePost(post, opts) }
+  }
+  if (hashing.PostRef.isPostRef(post)) {
+    return { hash: post.hash, obj: parsePost(post.buf, opts) }
+  }
+  if (post && typeof post === "object" && b4a.isBuffer(post.publicKey) && Array.isArray(post.links)) {
+    // a decoded post encodes back into the exact post that was decoded
+    return { hash: hashing.hashPost(encodePost(post, undefined, opts)), obj: post }
   }
-  return false
+  throw new InvalidArgumentError("expected post to be a buffer, a PostRef or a decoded post", { field: "post" })
 }
 
-function isArrayString (arr) {
-  if (Array.isArray(arr)) {
-    for (let i = 0; i < arr.length; i++) {
-      if (typeof arr[i] !== "string") {
-        return false
-      }
-    }
-    return true
+// the inverse of parseMessage: takes an object as returned by parseMessage (or any message type's toJSON) and
+// encodes it, dispatching on obj.msgType. encodeMessage(parseMessage(buf)) returns a buffer identical to buf
+function encodeMessage (obj) {
+  if (!obj || typeof obj !== "object") { throw new InvalidArgumentError("expected message to be an object") }
+  return getMessageType(obj.msgType).encode(obj)
+}
+
+// takes an object as returned by parseMessage or parsePost (or any type's toJSON) and returns its portable form, which
+// survives JSON.stringify and JSON.parse: each binary field (reqid, cancelid, publicKey, signature, hashes, links) is
+// represented as a string encoded using opts.encoding ("hex", the default, or "base64"), and each post of a post
+// response is represented by its own decoded portable form. all other fields are kept as-is
+function toPortableJSON (obj, opts) {
+  if (!obj || typeof obj !== "object") { throw new InvalidArgumentError("expected obj to be an object") }
+  if (obj.postType !== undefined) {
+    return getPostType(obj.postType).toPortableJSON(obj, opts)
   }
-  return false
+  return getMessageType(obj.msgType).toPortableJSON(obj, opts)
 }
 
-function isArrayHashes (arr) {
-  if (Array.isArray(arr)) {
-    for (let i = 0; i < arr.length; i++) {
-      if (!isBufferSize(arr[i], constants.HASH_SIZE)) {
-        return false
-      }
-    }
-    return true
+// the inverse of toPortableJSON: takes a portable object, encoded using opts.encoding, and returns an object
+// identical to the one returned by parseMessage or parsePost
+function fromPortableJSON (json, opts) {
+  if (!json || typeof json !== "object") { throw new InvalidArgumentError("expected portable json to be an object") }
+  if (json.postType !== undefined) {
+    return getPostType(json.postType).fromPortableJSON(json, opts)
   }
-  return false
+  return getMessageType(json.msgType).fromPortableJSON(json, opts)
 }
 
+function insertNewTTL(buf, expectedType) {
+    // 1. msgLen, which must match the length of buf
+    // 2. msgType
+    const header = codec.readMessageHeader(buf)
+    if (header.msgType !== expectedType) {
+      throw new WrongTypeError(`decoded msgType is not of expected type (expected ${expectedType}, was ${header.msgType})`, { field: "msgType", offset: header.msgTypeOffset })
+    }
+    // msgLen is followed by msgType
+    const msgLenOffset = header.msgTypeOffset
+    let offset = header.offset
+    // 3. circuitid
+    offset += constants.CIRCUITID_SIZE
+    // 4. reqid
+    offset += constants.REQID_SIZE
+    // get ttl
+    const beforeTTL = buf.subarray(msgLenOffset, offset)
+    const ttlOffset = offset
+    const ttl = decodeVarintSlice(buf, offset)
+    offset += varint.decode.bytes
+    const afterTTL = buf.subarray(offset)
 
-function encodeVarintBuffer (n) {
-  // take integer, return varint encoded buffer representation
-  return b4a.from(varint.encode(n))
-}
+    // decrement ttl
+    const newTTL = ttl - 1
+    if (newTTL < 0) { throw new FieldRangeError("expected ttl to be at least 1 to be decremented; was 0", { field: "ttl", offset: ttlOffset }) }
 
-function writeVarint (n, buf, offset) {
-  // take integer, buffer to write to, and offset to write at
-  // return amount of varint encoded bytes written
-  const varintBuf = encodeVarintBuffer(n)
-  varintBuf.copy(buf, offset)
-  return varint.encode.bytes
+    const newBuf = b4a.concat([beforeTTL, encodeVarintBuffer(newTTL), afterTTL])
+    return prependMsgLen(newBuf)
 }
 
 module.exports = { 
@@ -1428,9 +461,56 @@ module.exports = {
   JOIN_POST,
   LEAVE_POST,
 
+  createResponses,
+  DEFAULT_DECODE_LIMITS: codec.DEFAULT_LIMITS,
+
+  setTextPolicy: text.setTextPolicy,
+  getTextPolicy: text.getTextPolicy,
+  rejectControlCharacters: text.rejectControlCharacters,
+  rejectSurroundingWhitespace: text.rejectSurroundingWhitespace,
+
+  hashPost: hashing.hashPost,
+  hashPosts: hashing.hashPosts,
+  compareHashes: hashing.compareHashes,
+  equalHashes: hashing.equalHashes,
+  sortHashes: hashing.sortHashes,
+  hashToHex: hashing.hashToHex,
+  hashFromHex: hashing.hashFromHex,
+  hashToBase32: hashing.hashToBase32,
+  hashFromBase32: hashing.hashFromBase32,
+  PostRef: hashing.PostRef,
+
+  registerInfoKey: info.registerInfoKey,
+  isInfoKeyRegistered: info.isInfoKeyRegistered,
+  parseInfo: info.parseInfo,
+  resolveProfile: info.resolveProfile,
+  resolveProfiles: info.resolveProfiles,
+
+  CableError,
+  ArgumentCountError,
+  InvalidArgumentError,
+  FieldRangeError,
+  WrongTypeError,
+  UnknownTypeError,
+  TruncatedError,
+  LimitError,
+  TrailingBytesError,
+  Utf8Error,
+  SignatureError,
+  TimeoutError,
+  WorkerExitError,
+
   peekMessage,
   peekReqid,
   peekPost,
   parsePost,
-  parseMessage
+  parseMessage,
+  verifyPost,
+  registerPostType,
+  registerMessageType,
+  encodePost,
+  encodeMessage,
+  resolvePost,
+  toPortableJSON,
+  fromPortableJSON
 }
@@ -0,0 +1,142 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// the keys of post/info: a registry of well-known keys, each with the requirements of its values and how they are
+// parsed, and the resolution of a user's profile from their post/info posts. keys that are not registered may hold any
+// value of at most INFO_VALUE_MAX_BYTES, and are parsed as plain strings
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const text = require("./text.js")
+const validation = require("./validation.js")
+const { toHex } = require("./hash.js")
+const { InvalidArgumentError, FieldRangeError } = require("./errors.js")
+
+// registered keys, in NFC, mapped to { check, parse }:
+// * check(value): throws a CableError if the string value is not valid for the key; run when encoding and decoding
+// * parse(value): returns the typed value of a valid string value, as returned by parseInfo
+const INFO_KEYS = new Map()
+
+// registers the info key `key`, with the optional functions `check` and `parse` described above. the checks of a key
+// apply to every post/info encoded or decoded after it has been registered
+function registerInfoKey (key, opts) {
+  if (typeof key !== "string") { throw new InvalidArgumentError("expected key to be a string", { field: "key" }) }
+  validation.checkInfoKey(b4a.from(key, "utf8"))
+  if (key !== key.normalize("NFC")) {
+    throw new InvalidArgumentError(`expected info key ${JSON.stringify(key)} to be normalized to NFC`, { field: "key" })
+  }
+  if (INFO_KEYS.has(key)) {
+    throw new InvalidArgumentError(`expected info key ${JSON.stringify(key)} to not already be registered`, { field: "key" })
+  }
+  opts = opts || {}
+  ;["check", "parse"].forEach(name => {
+    if (opts[name] !== undefined && typeof opts[name] !== "function") {
+      throw new InvalidArgumentError(`expected ${name} to be a function`, { field: name })
+    }
+  })
+  INFO_KEYS.set(key, { check: opts.check || null, parse: opts.parse || null })
+}
+
+// returns whether the info key `key` is registered
+function isInfoKeyRegistered (key) {
+  return typeof key === "string" && INFO_KEYS.has(key.normalize("NFC"))
+}
+
+// the well-known keys of the cable spec
+// the user's display name
+registerInfoKey("name", {
+  check: value => validation.checkUsername(b4a.from(value, "utf8")),
+  parse: value => value
+})
+// whether the user accepts being assigned a role by others: "1" if so, "0" if not
+registerInfoKey("accept-role", {
+  check: value => {
+    if (value !== "0" && value !== "1") {
+      throw new FieldRangeError(`expected accept-role to be "0" or "1"; was ${JSON.stringify(value)}`, { field: "value" })
+    }
+  },
+  parse: value => value === "1"
+})
+
+// checks the wire representation of the [key, value] pairs of a post/info. keys must be unique, and the values of
+// registered keys must pass their key's check
+function checkInfo (pairs) {
+  const keys = new Set()
+  pairs.forEach(([keyBuf, valueBuf]) => {
+    validation.checkInfoKey(keyBuf)
+    validation.checkInfoValue(valueBuf)
+    // canonically equivalent keys are the same key
+    const key = text.decodeUtf8(keyBuf).normalize("NFC")
+    if (keys.has(key)) {
+      throw new FieldRangeError(`expected info keys to be unique; was ${JSON.stringify(key)} more than once`, { field: "info" })
+    }
+    keys.add(key)
+    const entry = INFO_KEYS.get(key)
+    if (entry && entry.check) { entry.check(text.decodeUtf8(valueBuf)) }
+  })
+}
+
+// takes the [key, value] pairs of a post/info, as returned by INFO_POST.toJSON(), and returns an object of each key
+// (in NFC) and its value, parsed by its registered key if any. e.g. [["name", "cabler"], ["accept-role", "1"]] is
+// parsed into { name: "cabler", "accept-role": true }
+function parseInfo (pairs) {
+  if (!Array.isArray(pairs)) { throw new InvalidArgumentError("expected info to be an array of [key, value] pairs", { field: "info" }) }
+  const info = {}
+  pairs.forEach(([key, value]) => {
+    key = key.normalize("NFC")
+    const entry = INFO_KEYS.get(key)
+    // defined rather than assigned, as keys such as "__proto__" are valid info keys
+    Object.defineProperty(info, key, {
+      value: entry && entry.parse ? entry.parse(value) : value,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    })
+  })
+  return info
+}
+
+// whether post is later than other: by timestamp, and of two posts with the same timestamp the one with the greater
+// signature, so that all peers agree on which post is the latest. the latest post/info of a user holds all of their
+// info: keys it does not contain are no longer set
+function isLater (post, other) {
+  if (post.timestamp !== other.timestamp) { return post.timestamp > other.timestamp }
+  return b4a.compare(post.signature, other.signature) > 0
+}
+
+// takes decoded posts, as returned by parsePost() (posts of other types are skipped), and returns the profile of the
+// user with publicKey: { publicKey, timestamp, info } where info is the parsed info of their latest post/info. returns
+// null if the user has no post/info
+function resolveProfile (posts, publicKey) {
+  if (!Array.isArray(posts)) { throw new InvalidArgumentError("expected posts to be an array", { field: "posts" }) }
+  if (!b4a.isBuffer(publicKey)) { throw new InvalidArgumentError("expected publicKey to be a buffer", { field: "publicKey" }) }
+  const profiles = resolveProfiles(posts.filter(post => post && b4a.isBuffer(post.publicKey) && b4a.equals(post.publicKey, publicKey)))
+  return profiles.get(toHex(publicKey)) || null
+}
+
+// like resolveProfile, but for every user with a post/info among posts. returns a Map of hex encoded public keys to
+// profiles
+function resolveProfiles (posts) {
+  if (!Array.isArray(posts)) { throw new InvalidArgumentError("expected posts to be an array", { field: "posts" }) }
+  const latest = new Map()
+  posts.forEach(post => {
+    if (!post || post.postType !== constants.INFO_POST) { return }
+    const id = toHex(post.publicKey)
+    if (!latest.has(id) || isLater(post, latest.get(id))) { latest.set(id, post) }
+  })
+  const profiles = new Map()
+  latest.forEach((post, id) => {
+    profiles.set(id, { publicKey: post.publicKey, timestamp: post.timestamp, info: parseInfo(post.info) })
+  })
+  return profiles
+}
+
+module.exports = {
+  registerInfoKey,
+  isInfoKeyRegistered,
+  checkInfo,
+  parseInfo,
+  resolveProfile,
+  resolveProfiles,
+  isLater
+}
@@ -0,0 +1,132 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// causal ordering of posts. the timestamp of a post is self-reported, and a skewed clock would place a post before the
+// posts it links to. links are instead taken as happens-before edges: a post is ordered by its causal time, the
+// greatest of its own timestamp and the causal times of the posts it links to, and so always comes after them. posts
+// with the same causal time are ordered by their depth (the longest chain of links below them), and then by hash.
+//
+// the order depends only on the set of posts, not on the order in which they are added. a post whose linked posts are
+// missing is ordered by what is known, and moves forward if needed once they arrive
+const b4a = require("b4a")
+const cable = require("./index.js")
+const { toHex } = require("./hash.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+// the order between two entries: negative if a comes first
+function compareEntries (a, b) {
+  return a.time - b.time || a.depth - b.depth || b4a.compare(a.hash, b.hash)
+}
+
+// keeps posts in causal order as they are added, moving only the posts whose position changes
+class CausalOrder {
+  constructor() {
+    // entries in order: { id, hash, post, time, depth }
+    this.entries = []
+    // entries keyed by hex hash
+    this.byId = new Map()
+    // the hex hashes of the posts that link to each post, including posts that have not been added, keyed by hex hash
+    this.children = new Map()
+  }
+
+  get length() {
+    return this.entries.length
+  }
+
+  // adds a post (see resolvePost in index.js). returns false if the post was already added, and true otherwise
+  add(post, opts) {
+    const { hash, obj } = cable.resolvePost(post, opts)
+    const id = toHex(hash)
+    if (this.byId.has(id)) { return false }
+    // 1. order the post after the posts it links to
+    const entry = { id, hash, post: obj, time: 0, depth: 0 }
+    this._place(entry)
+    this.byId.set(id, entry)
+    this._insert(entry)
+    obj.links.forEach(link => {
+      const linkId = toHex(link)
+      if (!this.children.has(linkId)) { this.children.set(linkId, new Set()) }
+      this.children.get(linkId).add(id)
+    })
+    // 2. posts added before it that link to it, and their descendants, may now need to move forward
+    const pending = Array.from(this.children.get(id) || [])
+    while (pending.length > 0) {
+      const child = this.byId.get(pending.pop())
+      if (!child) { continue }
+      const { time, depth } = child
+      this._remove(child)
+      this._place(child)
+      this._insert(child)
+      if (child.time !== time || child.depth !== depth) {
+        pending.push(...(this.children.get(child.id) || []))
+      }
+    }
+    return true
+  }
+
+  // returns the decoded posts, in order
+  posts() {
+    return this.entries.map(entry => entry.post)
+  }
+
+  // returns the hashes of the posts, in order
+  hashes() {
+    return this.entries.map(entry => entry.hash)
+  }
+
+  // returns the position of the post with hash, or -1 if it has not been added
+  indexOf(hash) {
+    if (!b4a.isBuffer(hash)) { throw new InvalidArgumentError("expected hash to be a buffer", { field: "hash" }) }
+    const entry = this.byId.get(toHex(hash))
+    return entry ? this._search(entry) : -1
+  }
+
+  // sets the causal time and depth of entry from its own timestamp and the posts it links to that have been added
+  _place(entry) {
+    entry.time = entry.post.timestamp
+    entry.depth = 0
+    entry.post.links.forEach(link => {
+      const parent = this.byId.get(toHex(link))
+      if (!parent) { return }
+      entry.time = Math.max(entry.time, parent.time)
+      entry.depth = Math.max(entry.depth, parent.depth + 1)
+    })
+  }
+
+  // returns the index of entry if it is in entries, or else the index to insert it at
+  _search(entry) {
+    let low = 0
+    let high = this.entries.length
+    while (low < high) {
+      const mid = (low + high) >>> 1
+      if (compareEntries(this.entries[mid], entry) < 0) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    return low
+  }
+
+  _insert(entry) {
+    this.entries.splice(this._search(entry), 0, entry)
+  }
+
+  _remove(entry) {
+    this.entries.splice(this._search(entry), 1)
+  }
+}
+
+// takes posts (as buffers, PostRefs or decoded posts) and returns the decoded posts in causal order
+function orderPosts (posts, opts) {
+  if (!Array.isArray(posts)) { throw new InvalidArgumentError("expected posts to be an array", { field: "posts" }) }
+  const order = new CausalOrder()
+  posts.forEach(post => order.add(post, opts))
+  return order.posts()
+}
+
+module.exports = {
+  CausalOrder,
+  orderPosts
+}
@@ -0,0 +1,231 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// the lifecycle of outgoing requests. a RequestManager issues requests with reqids that no other live request has,
+// routes the responses it receives to the request with their reqid, and forgets a request once it ends: when a peer
+// concludes it with an empty response, or when it is canceled (by the caller, an AbortSignal or a timeout), in which
+// case a cancel request is sent so that peers stop answering it too
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const codec = require("./codec.js")
+const crypto = require("./cryptography.js")
+const { toHex } = require("./hash.js")
+const { InvalidArgumentError, TimeoutError, WrongTypeError } = require("./errors.js")
+
+// the type of each request, and the type of response that answers it along with the field carrying its items
+const REQUEST_TYPES = {
+  [constants.POST_REQUEST]: { type: cable.POST_REQUEST, response: constants.POST_RESPONSE, items: "posts" },
+  [constants.TIME_RANGE_REQUEST]: { type: cable.TIME_RANGE_REQUEST, response: constants.HASH_RESPONSE, items: "hashes" },
+  [constants.CHANNEL_STATE_REQUEST]: { type: cable.CHANNEL_STATE_REQUEST, response: constants.HASH_RESPONSE, items: "hashes" },
+  [constants.CHANNEL_LIST_REQUEST]: { type: cable.CHANNEL_LIST_REQUEST, response: constants.CHANNEL_LIST_RESPONSE, items: "channels" }
+}
+
+const RESPONSE_TYPES = new Set([constants.HASH_RESPONSE, constants.POST_RESPONSE, constants.CHANNEL_LIST_RESPONSE])
+
+function checkTimeout (timeout) {
+  if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0)) {
+    throw new InvalidArgumentError(`expected timeout to be a non-negative integer; was ${timeout}`, { field: "timeout" })
+  }
+}
+
+// an outgoing request. its responses are read either by iterating over it with `for await`, which yields each decoded
+// response until the empty one that concludes the request, or by collect(). leaving a `for await` loop early cancels
+// the request
+class Request {
+  constructor(manager, reqid, responseType, items) {
+    this.manager = manager
+    this.reqid = reqid
+    // the msgType of the responses that answer the request, and the field of the response carrying its items
+    this.responseType = responseType
+    this.itemsField = items
+    // decoded responses that have not been read yet, and the pending reads waiting for the next ones: { resolve, reject }
+    this.queue = []
+    this.waiting = []
+    // set once the request has ended: error is null if it ended without failing
+    this.ended = false
+    this.error = null
+    // cleans up the timer and the listener of the AbortSignal, if any
+    this.cleanup = () => {}
+  }
+
+  [Symbol.asyncIterator]() {
+    return this
+  }
+
+  next() {
+    if (this.queue.length > 0) { return Promise.resolve({ value: this.queue.shift(), done: false }) }
+    if (this.ended) {
+      return this.error ? Promise.reject(this.error) : Promise.resolve({ value: undefined, done: true })
+    }
+    return new Promise((resolve, reject) => { this.waiting.push({ resolve, reject }) })
+  }
+
+  // called when a `for await` loop is left early
+  return() {
+    this.cancel()
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  // returns a promise of the items of all responses (hashes, posts or channels, depending on the request), resolved
+  // once the request is concluded
+  collect() {
+    const items = []
+    const read = () => this.next().then(({ value, done }) => {
+      if (done) { return items }
+      items.push(...value[this.itemsField])
+      return read()
+    })
+    return read()
+  }
+
+  // cancels the request, unless it has already ended: a cancel request is sent, and iteration ends after the responses
+  // received so far
+  cancel() {
+    this.manager._cancel(this, null)
+  }
+
+  _push(response) {
+    if (this.waiting.length > 0) {
+      this.waiting.shift().resolve({ value: response, done: false })
+    } else {
+      this.queue.push(response)
+    }
+  }
+
+  _end(err) {
+    this.ended = true
+    this.error = err
+    this.cleanup()
+    const waiting = this.waiting
+    this.waiting = []
+    waiting.forEach(read => {
+      if (err) { read.reject(err) } else { read.resolve({ value: undefined, done: true }) }
+    })
+  }
+}
+
+// issues requests and routes responses to them. send(buf) is called with each request cablegram to send to peers,
+// including cancel requests. opts:
+// * timeout: the milliseconds after which a request that has not been concluded is canceled, failing with a
+//   TimeoutError (defaults to 0, for no timeout). can be overridden for each request
+// * hardened: responses come from untrusted peers, so they are decoded as hardened (see decodeLimits in codec.js) unless
+//   this is false
+// * limits: overrides some limits of hardened decoding (see DEFAULT_DECODE_LIMITS)
+class RequestManager {
+  constructor(send, opts) {
+    if (typeof send !== "function") { throw new InvalidArgumentError("expected send to be a function", { field: "send" }) }
+    opts = opts || {}
+    checkTimeout(opts.timeout)
+    this.send = send
+    this.timeout = opts.timeout || 0
+    const limits = codec.decodeLimits({ hardened: opts.hardened !== false, limits: opts.limits })
+    this.parseOpts = limits ? { limits } : undefined
+    // the live requests, keyed by hex reqid
+    this.requests = new Map()
+  }
+
+  // the amount of live requests
+  get size() {
+    return this.requests.size
+  }
+
+  // issues a request of msgType (a post, time range, channel state or channel list request), where args are the
+  // arguments that its create() takes after the reqid, e.g. [ttl, channel, timeStart, timeEnd, limit] for a time range
+  // request. returns the Request, which is sent right away. opts:
+  // * signal: an AbortSignal that cancels the request, failing it with the signal's reason
+  // * timeout: overrides the timeout of the manager
+  request(msgType, args, opts) {
+    const requestType = REQUEST_TYPES[msgType]
+    if (!requestType) {
+      throw new InvalidArgumentError(`expected msgType to be a request type answered by responses; was ${msgType}`, { field: "msgType" })
+    }
+    if (!Array.isArray(args)) { throw new InvalidArgumentError("expected args to be an array", { field: "args" }) }
+    opts = opts || {}
+    checkTimeout(opts.timeout)
+    const reqid = this._reqid()
+    const buf = requestType.type.create(reqid, ...args)
+    const request = new Request(this, reqid, requestType.response, requestType.items)
+    const signal = opts.signal
+    // 1. a request that is aborted before it is issued is never sent
+    if (signal && signal.aborted) {
+      request._end(signal.reason)
+      return request
+    }
+    // 2. register the request before sending it, in case responses arrive while it is being sent
+    this.requests.set(toHex(reqid), request)
+    const timeout = opts.timeout === undefined ? this.timeout : opts.timeout
+    const timer = timeout > 0 ? setTimeout(() => {
+      this._cancel(request, new TimeoutError(`expected the request to be concluded within ${timeout}ms`, { field: "timeout" }))
+    }, timeout) : null
+    const onabort = () => this._cancel(request, signal.reason)
+    if (signal) { signal.addEventListener("abort", onabort) }
+    request.cleanup = () => {
+      if (timer) { clearTimeout(timer) }
+      if (signal) { signal.removeEventListener("abort", onabort) }
+    }
+    // 3. a request that could not be sent is forgotten, failing with the error of send
+    try {
+      this.send(buf)
+    } catch (err) {
+      this.requests.delete(toHex(reqid))
+      request._end(err)
+      throw err
+    }
+    return request
+  }
+
+  // takes a response cablegram received from a peer and routes it to the live request with its reqid. returns false if
+  // there is no such request (e.g. it has been canceled), and true otherwise. a response of the wrong type fails the
+  // request with a WrongTypeError, and a response that cannot be decoded fails the request with the error, which is then
+  // thrown
+  receive(buf) {
+    const msgType = cable.peekMessage(buf)
+    if (!RESPONSE_TYPES.has(msgType)) {
+      throw new InvalidArgumentError(`expected a response; was a message of msgType ${msgType}`, { field: "msgType" })
+    }
+    const request = this.requests.get(toHex(cable.peekReqid(buf)))
+    if (!request) { return false }
+    if (msgType !== request.responseType) {
+      this._cancel(request, new WrongTypeError(`expected a response of msgType ${request.responseType}; was ${msgType}`, { field: "msgType" }))
+      return true
+    }
+    let response
+    try {
+      response = cable.parseMessage(buf, this.parseOpts)
+    } catch (err) {
+      this._cancel(request, err)
+      throw err
+    }
+    // an empty response concludes the request
+    if (response[request.itemsField].length === 0) {
+      this.requests.delete(toHex(request.reqid))
+      request._end(null)
+    } else {
+      request._push(response)
+    }
+    return true
+  }
+
+  // ends request with err (or without failing, if err is null) and sends a cancel request for it, unless it has already
+  // ended
+  _cancel(request, err) {
+    if (request.ended) { return }
+    this.requests.delete(toHex(request.reqid))
+    request._end(err)
+    this.send(cable.CANCEL_REQUEST.create(this._reqid(), 0, request.reqid))
+  }
+
+  // returns a new reqid that no live request has
+  _reqid() {
+    let reqid = crypto.generateReqID()
+    while (this.requests.has(toHex(reqid))) {
+      reqid = crypto.generateReqID()
+    }
+    return reqid
+  }
+}
+
+module.exports = {
+  RequestManager
+}
@@ -0,0 +1,110 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// answering requests from a store. a Responder takes incoming request cablegrams and returns the response cablegrams
+// that answer them, with the reqid of the request:
+// * post request: post responses with the stored posts of its hashes
+// * time range request: hash responses with the hashes of its channel's posts in its time range
+// * channel state request: hash responses with the hashes of the posts that make up its channel's state
+// * channel list request: channel list responses with its channels
+//
+// a request is concluded with an empty response once all of its results have been sent, unless it asks for future posts
+// too (a time range request with a timeEnd of 0, or a channel state request with future set to 1): such requests are
+// kept live until they are canceled by a cancel request, and sending the hashes of later posts is up to the caller.
+//
+// the store may be anything with the following methods, returning their results or promises of them (MemoryStore of
+// store.js is one):
+// * getPosts(hashes): the buffers of the stored posts of hashes
+// * timeRange({ channel, timeStart, timeEnd, limit }): the hashes of the posts of channel in the time range, in time
+//   order: the latest limit of them (or all, if 0)
+// * channelState({ channel }): the hashes of the posts that make up the state of channel
+// * channelList({ offset, limit }): the channel names, skipping the first offset and at most limit of them (or all, if 0)
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const codec = require("./codec.js")
+const { toHex } = require("./hash.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+const STORE_METHODS = ["getPosts", "timeRange", "channelState", "channelList"]
+
+// answers requests from store. opts:
+// * maxMessageSize: the most bytes of each response cablegram (defaults to the maxMessageBytes limit of hardened
+//   decoding). results that do not fit in one response are split across several
+// * hardened: requests come from untrusted peers, so they are decoded as hardened (see decodeLimits in codec.js) unless
+//   this is false
+// * limits: overrides some limits of hardened decoding (see DEFAULT_DECODE_LIMITS)
+class Responder {
+  constructor(store, opts) {
+    if (!store || STORE_METHODS.some(method => typeof store[method] !== "function")) {
+      throw new InvalidArgumentError(`expected store to have the methods ${STORE_METHODS.join(", ")}`, { field: "store" })
+    }
+    opts = opts || {}
+    if (opts.maxMessageSize !== undefined && (!Number.isInteger(opts.maxMessageSize) || opts.maxMessageSize < 1)) {
+      throw new InvalidArgumentError(`expected maxMessageSize to be a positive integer; was ${opts.maxMessageSize}`, { field: "maxMessageSize" })
+    }
+    this.store = store
+    this.maxMessageSize = opts.maxMessageSize || constants.DECODE_MAX_MESSAGE_BYTES
+    const limits = codec.decodeLimits({ hardened: opts.hardened !== false, limits: opts.limits })
+    this.parseOpts = limits ? { limits } : undefined
+    // the live requests, keyed by hex reqid
+    this.live = new Map()
+  }
+
+  // takes a request cablegram and returns a promise of the response cablegrams that answer it, in the order they should
+  // be sent. a cancel request ends the live request it names, and is answered with no responses
+  respond(buf) {
+    let req
+    try {
+      req = cable.parseMessage(buf, this.parseOpts)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    switch (req.msgType) {
+      case constants.POST_REQUEST:
+        return this._answer(req, constants.POST_RESPONSE, () => this.store.getPosts(req.hashes), {})
+      case constants.TIME_RANGE_REQUEST:
+        return this._answer(req, constants.HASH_RESPONSE, () => this.store.timeRange(req), { live: req.timeEnd === 0, latest: true })
+      case constants.CHANNEL_STATE_REQUEST:
+        return this._answer(req, constants.HASH_RESPONSE, () => this.store.channelState(req), { live: req.future === 1 })
+      case constants.CHANNEL_LIST_REQUEST:
+        return this._answer(req, constants.CHANNEL_LIST_RESPONSE, () => this.store.channelList(req), {})
+      case constants.CANCEL_REQUEST:
+        this.live.delete(toHex(req.cancelid))
+        return Promise.resolve([])
+      default:
+        return Promise.reject(new InvalidArgumentError(`expected a request; was a message of msgType ${req.msgType}`, { field: "msgType" }))
+    }
+  }
+
+  // whether the request with reqid is live: it asked for future posts, and has not been canceled
+  isLive(reqid) {
+    if (!b4a.isBuffer(reqid) || reqid.length !== constants.REQID_SIZE) {
+      throw new InvalidArgumentError(`expected reqid to be a buffer of size ${constants.REQID_SIZE}`, { field: "reqid" })
+    }
+    return this.live.has(toHex(reqid))
+  }
+
+  // answers req with responses of msgType, carrying the items that query returns. the items are capped at the limit of
+  // the request, if it has one, in case the store returns more: the last of them are kept if opts.latest is set (as a
+  // time range request keeps the latest hashes), and the first otherwise. opts.live keeps the request live instead of
+  // concluding it
+  _answer(req, msgType, query, opts) {
+    const { live, latest } = opts
+    return Promise.resolve().then(query).then(items => {
+      if (!Array.isArray(items)) {
+        throw new InvalidArgumentError("expected the store to return an array", { field: "store" })
+      }
+      if (req.limit > 0 && items.length > req.limit) {
+        items = latest ? items.slice(-req.limit) : items.slice(0, req.limit)
+      }
+      if (live) { this.live.set(toHex(req.reqid), req) }
+      return cable.createResponses(msgType, req.reqid, items, this.maxMessageSize, { conclude: !live })
+    })
+  }
+}
+
+module.exports = {
+  Responder
+}
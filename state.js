@@ -0,0 +1,143 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// the state that posts add up to: the topic and members of each channel, the info of each user, and the posts that
+// have been deleted. the latest post of each kind decides (e.g. the latest post/topic of a channel sets its topic), and
+// a deleted post no longer counts, so the post before it decides again. posts are deleted as in deletions.js: only by
+// post/deletes of their own authors. posts may be added in any order: the state only depends on the set of posts added
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const info = require("./info.js")
+const { toHex } = require("./hash.js")
+const { Deletions } = require("./deletions.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+// returns the map at key of map, creating it if needed
+function submap (map, key) {
+  if (!map.has(key)) { map.set(key, new Map()) }
+  return map.get(key)
+}
+
+// opts:
+// * deletions: the Deletions to track deleted posts with, e.g. to share it with a store (defaults to a new one). every
+//   post added to the state is added to it
+class ChannelState {
+  constructor(opts) {
+    opts = opts || {}
+    if (opts.deletions !== undefined && !(opts.deletions instanceof Deletions)) {
+      throw new InvalidArgumentError("expected deletions to be a Deletions", { field: "deletions" })
+    }
+    this.deletions = opts.deletions || new Deletions()
+    // the hex hashes of all posts added
+    this.added = new Set()
+    // the names of all channels with posts
+    this.channelNames = new Set()
+    // the candidates for each part of the state, keyed by hex hash: post/topic by channel, post/join and post/leave by
+    // channel and then by hex public key, and post/info by hex public key
+    this.topics = new Map()
+    this.memberships = new Map()
+    this.infos = new Map()
+  }
+
+  // adds a post (see resolvePost in index.js). returns false if the post was already added, and true otherwise
+  add(post, opts) {
+    const { hash, obj } = cable.resolvePost(post, opts)
+    const id = toHex(hash)
+    if (this.added.has(id)) { return false }
+    this.added.add(id)
+    this.deletions.addResolved(hash, obj)
+    if (typeof obj.channel === "string") { this.channelNames.add(obj.channel) }
+    switch (obj.postType) {
+      case constants.TOPIC_POST:
+        submap(this.topics, obj.channel).set(id, obj)
+        break
+      case constants.JOIN_POST:
+      case constants.LEAVE_POST:
+        submap(submap(this.memberships, obj.channel), toHex(obj.publicKey)).set(id, obj)
+        break
+      case constants.INFO_POST:
+        submap(this.infos, toHex(obj.publicKey)).set(id, obj)
+        break
+    }
+    return true
+  }
+
+  // returns the topic of channel, or null if it has none
+  topic(channel) {
+    checkChannel(channel)
+    const post = this._latest(this.topics.get(channel))
+    return post ? post.topic : null
+  }
+
+  // returns the public keys of the members of channel: the users whose latest post/join or post/leave in the channel is
+  // a post/join. sorted by their bytes
+  members(channel) {
+    checkChannel(channel)
+    const members = []
+    const byUser = this.memberships.get(channel) || new Map()
+    byUser.forEach(candidates => {
+      const post = this._latest(candidates)
+      if (post && post.postType === constants.JOIN_POST) { members.push(post.publicKey) }
+    })
+    return members.sort(b4a.compare)
+  }
+
+  isMember(channel, publicKey) {
+    checkPublicKey(publicKey)
+    return this.members(channel).some(member => b4a.equals(member, publicKey))
+  }
+
+  // returns the names of all channels that posts were made in, sorted
+  channels() {
+    return Array.from(this.channelNames).sort()
+  }
+
+  // returns the profile of the user with publicKey, as resolveProfile in info.js: { publicKey, timestamp, info }, or null
+  profile(publicKey) {
+    checkPublicKey(publicKey)
+    const post = this._latest(this.infos.get(toHex(publicKey)))
+    return post ? { publicKey: post.publicKey, timestamp: post.timestamp, info: info.parseInfo(post.info) } : null
+  }
+
+  // returns the display name of the user with publicKey, or null if they have not set one
+  name(publicKey) {
+    const profile = this.profile(publicKey)
+    return profile && typeof profile.info.name === "string" ? profile.info.name : null
+  }
+
+  isDeleted(hash) {
+    return this.deletions.isDeleted(hash)
+  }
+
+  // returns the hashes of all deleted posts, sorted by their bytes
+  deleted() {
+    return this.deletions.deleted()
+  }
+
+  // returns the latest of candidates (a map of hex hashes to posts) that has not been deleted, or null
+  _latest(candidates) {
+    let latest = null
+    if (!candidates) { return latest }
+    candidates.forEach((post, id) => {
+      if (this.deletions.isDeleted(id)) { return }
+      if (!latest || info.isLater(post, latest)) { latest = post }
+    })
+    return latest
+  }
+}
+
+function checkChannel (channel) {
+  if (typeof channel !== "string") { throw new InvalidArgumentError("expected channel to be a string", { field: "channel" }) }
+}
+
+function checkPublicKey (publicKey) {
+  if (!b4a.isBuffer(publicKey) || publicKey.length !== constants.PUBLICKEY_SIZE) {
+    throw new InvalidArgumentError(`expected publicKey to be a buffer of size ${constants.PUBLICKEY_SIZE}`, { field: "publicKey" })
+  }
+}
+
+module.exports = {
+  ChannelState
+}
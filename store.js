@@ -0,0 +1,228 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// an in-memory post store, for tests, bots and small tools that do not need the persistence of cable-core.js. it keeps
+// the buffers of posts indexed by hash, by channel and timestamp, and by author, and answers what the requests of cable
+// ask for: the posts of a post request, the hashes of a time range request or channel state request, and the channels of
+// a channel list request. it is the reference implementation of the store that a Responder (see responder.js) answers
+// requests from
+const b4a = require("b4a")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const { isLater } = require("./info.js")
+const { toHex, hashId } = require("./hash.js")
+const { InvalidArgumentError } = require("./errors.js")
+
+// the order of entries in a channel: by timestamp, and then by hash
+function compareEntries (a, b) {
+  return a.post.timestamp - b.post.timestamp || b4a.compare(a.hash, b.hash)
+}
+
+// returns the index of the first entry of entries (sorted by compareEntries) that does not come before entry, where
+// entry may also be { timestamp } to find the first entry with at least that timestamp
+function search (entries, entry) {
+  const compare = entry.hash ? compareEntries : (a, b) => a.post.timestamp - b.post.timestamp
+  const target = entry.hash ? entry : { post: entry }
+  let low = 0
+  let high = entries.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (compare(entries[mid], target) < 0) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+// keeps posts in memory. the channel index, which time ranges are answered from, holds the post/texts of each channel
+// and the post/deletes that delete them (by the same author, as in deletions.js), indexed as soon as both have been
+// added
+class MemoryStore {
+  constructor() {
+    // entries keyed by hex hash: { id, hash, buf, post, channels }, where channels is the set of channels the entry is
+    // indexed in
+    this.entries = new Map()
+    // the entries of each channel, sorted by compareEntries
+    this.byChannel = new Map()
+    // the hex hashes of the posts of each author, keyed by hex public key
+    this.byAuthor = new Map()
+    // the hex hashes of the post/topics, post/joins and post/leaves of each channel
+    this.stateIds = new Map()
+    // the names of all channels that posts were added to
+    this.channelNames = new Set()
+    // the hex hashes of the post/deletes naming each post, keyed by hex hash
+    this.deletesOf = new Map()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  // adds a post, given as a buffer or a PostRef (see resolvePost in index.js). returns false if the post was already
+  // added, and true otherwise
+  add(post, opts) {
+    if (!b4a.isBuffer(post) && !cable.PostRef.isPostRef(post)) {
+      throw new InvalidArgumentError("expected post to be a buffer or a PostRef", { field: "post" })
+    }
+    const { hash, obj } = cable.resolvePost(post, opts)
+    const id = toHex(hash)
+    if (this.entries.has(id)) { return false }
+    const entry = { id, hash, buf: cable.PostRef.isPostRef(post) ? post.buf : post, post: obj, channels: new Set() }
+    this.entries.set(id, entry)
+    const author = toHex(obj.publicKey)
+    if (!this.byAuthor.has(author)) { this.byAuthor.set(author, new Set()) }
+    this.byAuthor.get(author).add(id)
+    if (typeof obj.channel === "string") { this.channelNames.add(obj.channel) }
+    switch (obj.postType) {
+      case constants.TEXT_POST:
+        // 1. index the post/text, and the post/deletes of its author that were added before it
+        this._index(entry, obj.channel)
+        ;(this.deletesOf.get(id) || []).forEach(deleteId => {
+          const deletion = this.entries.get(deleteId)
+          if (deletion && b4a.equals(deletion.post.publicKey, obj.publicKey)) { this._index(deletion, obj.channel) }
+        })
+        break
+      case constants.DELETE_POST:
+        // 2. index the post/delete in the channels of the post/texts it deletes
+        obj.hashes.forEach(target => {
+          const targetId = toHex(target)
+          if (!this.deletesOf.has(targetId)) { this.deletesOf.set(targetId, new Set()) }
+          this.deletesOf.get(targetId).add(id)
+          const text = this.entries.get(targetId)
+          if (text && text.post.postType === constants.TEXT_POST && b4a.equals(text.post.publicKey, obj.publicKey)) {
+            this._index(entry, text.post.channel)
+          }
+        })
+        break
+      case constants.TOPIC_POST:
+      case constants.JOIN_POST:
+      case constants.LEAVE_POST:
+        if (!this.stateIds.has(obj.channel)) { this.stateIds.set(obj.channel, new Set()) }
+        this.stateIds.get(obj.channel).add(id)
+        break
+    }
+    return true
+  }
+
+  // removes the post with hash, e.g. from the purge hook of a Deletions. returns false if it was not stored
+  remove(hash) {
+    const id = hashId(hash)
+    const entry = this.entries.get(id)
+    if (!entry) { return false }
+    this.entries.delete(id)
+    this.byAuthor.get(toHex(entry.post.publicKey)).delete(id)
+    if (this.stateIds.has(entry.post.channel)) { this.stateIds.get(entry.post.channel).delete(id) }
+    entry.channels.forEach(channel => {
+      const entries = this.byChannel.get(channel)
+      entries.splice(search(entries, entry), 1)
+    })
+    return true
+  }
+
+  has(hash) {
+    return this.entries.has(hashId(hash))
+  }
+
+  // returns the buffer of the post with hash, or null if it is not stored
+  get(hash) {
+    const entry = this.entries.get(hashId(hash))
+    return entry ? entry.buf : null
+  }
+
+  // returns the buffers of the stored posts of hashes, in the same order, as a post request asks. hashes of posts that
+  // are not stored are skipped
+  getPosts(hashes) {
+    if (!Array.isArray(hashes)) { throw new InvalidArgumentError("expected hashes to be an array", { field: "hashes" }) }
+    return hashes.map(hash => this.get(hash)).filter(buf => buf !== null)
+  }
+
+  // returns the hashes of the post/texts and post/deletes of channel with a timestamp from timeStart (inclusive) up to
+  // timeEnd (exclusive, or without an end if 0), as a time range request asks. with a limit other than 0, only the
+  // latest limit of them are returned. sorted by timestamp, and then by hash. takes the fields of a time range request,
+  // e.g. the object returned by TIME_RANGE_REQUEST.toJSON()
+  timeRange({ channel, timeStart, timeEnd, limit }) {
+    if (typeof channel !== "string") { throw new InvalidArgumentError("expected channel to be a string", { field: "channel" }) }
+    checkCount(timeStart, "timeStart")
+    checkCount(timeEnd, "timeEnd")
+    checkCount(limit, "limit")
+    const entries = this.byChannel.get(channel) || []
+    const start = search(entries, { timestamp: timeStart })
+    const end = timeEnd === 0 ? entries.length : search(entries, { timestamp: timeEnd })
+    const first = limit === 0 ? start : Math.max(start, end - limit)
+    return entries.slice(first, end).map(entry => entry.hash)
+  }
+
+  // returns the hashes of the posts that make up the state of channel, as a channel state request asks: its latest
+  // post/topic, the latest post/join or post/leave of each user, and the latest post/info of each user whose latest of
+  // those is a post/join. sorted by timestamp, and then by hash. takes the fields of a channel state request, e.g. the
+  // object returned by CHANNEL_STATE_REQUEST.toJSON()
+  channelState({ channel }) {
+    if (typeof channel !== "string") { throw new InvalidArgumentError("expected channel to be a string", { field: "channel" }) }
+    let topic = null
+    // the latest post/join or post/leave of each user, keyed by hex public key
+    const memberships = new Map()
+    ;(this.stateIds.get(channel) || []).forEach(id => {
+      const entry = this.entries.get(id)
+      if (entry.post.postType === constants.TOPIC_POST) {
+        if (!topic || isLater(entry.post, topic.post)) { topic = entry }
+        return
+      }
+      const author = toHex(entry.post.publicKey)
+      const latest = memberships.get(author)
+      if (!latest || isLater(entry.post, latest.post)) { memberships.set(author, entry) }
+    })
+    const entries = topic ? [topic] : []
+    memberships.forEach((membership, author) => {
+      entries.push(membership)
+      if (membership.post.postType !== constants.JOIN_POST) { return }
+      let info = null
+      this.byAuthor.get(author).forEach(id => {
+        const entry = this.entries.get(id)
+        if (entry.post.postType !== constants.INFO_POST) { return }
+        if (!info || isLater(entry.post, info.post)) { info = entry }
+      })
+      if (info) { entries.push(info) }
+    })
+    return entries.sort(compareEntries).map(entry => entry.hash)
+  }
+
+  // returns the names of the channels that posts were added to, sorted, skipping the first offset of them and returning
+  // at most limit (or all, if 0), as a channel list request asks. takes the fields of a channel list request, e.g. the
+  // object returned by CHANNEL_LIST_REQUEST.toJSON()
+  channelList({ offset, limit }) {
+    checkCount(offset, "offset")
+    checkCount(limit, "limit")
+    const channels = Array.from(this.channelNames).sort()
+    return channels.slice(offset, limit === 0 ? channels.length : offset + limit)
+  }
+
+  // returns the hashes of the stored posts of the user with publicKey, sorted by timestamp and then by hash
+  byPublicKey(publicKey) {
+    if (!b4a.isBuffer(publicKey) || publicKey.length !== constants.PUBLICKEY_SIZE) {
+      throw new InvalidArgumentError(`expected publicKey to be a buffer of size ${constants.PUBLICKEY_SIZE}`, { field: "publicKey" })
+    }
+    const ids = this.byAuthor.get(toHex(publicKey)) || []
+    return Array.from(ids).map(id => this.entries.get(id)).sort(compareEntries).map(entry => entry.hash)
+  }
+
+  _index(entry, channel) {
+    if (entry.channels.has(channel)) { return }
+    entry.channels.add(channel)
+    if (!this.byChannel.has(channel)) { this.byChannel.set(channel, []) }
+    const entries = this.byChannel.get(channel)
+    entries.splice(search(entries, entry), 0, entry)
+  }
+}
+
+function checkCount (n, param) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new InvalidArgumentError(`expected ${param} to be a non-negative integer; was ${n}`, { field: param })
+  }
+}
+
+module.exports = {
+  MemoryStore
+}
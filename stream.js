@@ -0,0 +1,157 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// streaming encoding and decoding of cablegrams sent over a byte stream (e.g. a tcp socket).
+// each cablegram on the wire is prefixed by its varint-encoded msgLen (see `prependMsgLen` in index.js), which is
+// what we use to find the boundaries between cablegrams
+const { Transform } = require("stream")
+const b4a = require("b4a")
+const varint = require("varint")
+const constants = require("./constants.js")
+const cable = require("./index.js")
+const codec = require("./codec.js")
+const { InvalidArgumentError, FieldRangeError, TruncatedError, LimitError } = require("./errors.js")
+
+// accumulates incoming chunks and splits them into whole cablegrams. the framer has no notion of streams, so it can
+// also be used directly by transports that are not nodejs streams. cablegrams larger than opts.maxMessageBytes (defaults
+// to the maxMessageBytes limit of hardened decoding) are rejected as soon as their msgLen is received, rather than
+// buffering them. pass { maxMessageBytes: Infinity } to accept cablegrams of any size
+class Framer {
+  constructor(opts) {
+    opts = opts || {}
+    const maxMessageBytes = opts.maxMessageBytes !== undefined ? opts.maxMessageBytes : constants.DECODE_MAX_MESSAGE_BYTES
+    if (maxMessageBytes !== Infinity && !(Number.isInteger(maxMessageBytes) && maxMessageBytes > 0)) {
+      throw new InvalidArgumentError(`expected maxMessageBytes to be a positive integer or Infinity; was ${maxMessageBytes}`, { field: "maxMessageBytes" })
+    }
+    this.maxMessageBytes = maxMessageBytes
+    this.chunks = []
+    // total number of bytes held in this.chunks
+    this.buffered = 0
+    // byte length of the cablegram currently being received, including its msgLen prefix; 0 if not yet known
+    this.frameLength = 0
+  }
+
+  // takes a chunk of bytes and returns an array of the cablegrams that were completed by it (possibly empty)
+  push(chunk) {
+    if (!b4a.isBuffer(chunk)) { throw new InvalidArgumentError("expected chunk to be a buffer") }
+    if (chunk.length > 0) {
+      this.chunks.push(chunk)
+      this.buffered += chunk.length
+    }
+    const frames = []
+    while (this.buffered > 0) {
+      // 1. figure out how long the current cablegram is, using its msgLen prefix
+      if (this.frameLength === 0) {
+        this.frameLength = this._readFrameLength()
+        // msgLen prefix has not been fully received yet
+        if (this.frameLength === 0) { break }
+      }
+      // 2. wait until the entire cablegram has been received
+      if (this.buffered < this.frameLength) { break }
+      // 3. slice out the cablegram, keeping any remaining bytes for the next one
+      const buf = this._flatten()
+      frames.push(buf.subarray(0, this.frameLength))
+      const rest = buf.subarray(this.frameLength)
+      this.chunks = rest.length > 0 ? [rest] : []
+      this.buffered = rest.length
+      this.frameLength = 0
+    }
+    return frames
+  }
+
+  // returns the byte length of the cablegram at the head of the buffered data, or 0 if the msgLen prefix is incomplete
+  _readFrameLength() {
+    const head = this._flatten()
+    let msgLen
+    try {
+      msgLen = varint.decode(head.subarray(0, constants.MAX_VARINT_SIZE))
+    } catch (e) {
+      if (!(e instanceof RangeError)) { throw e }
+      if (head.length >= constants.MAX_VARINT_SIZE) {
+        throw new FieldRangeError(`expected msgLen to be a varint of at most ${constants.MAX_VARINT_SIZE} bytes`, { field: "msgLen" })
+      }
+      return 0
+    }
+    if (msgLen === 0) { throw new FieldRangeError("expected msgLen to be larger than 0", { field: "msgLen" }) }
+    const frameLength = varint.decode.bytes + msgLen
+    if (frameLength > this.maxMessageBytes) {
+      throw new LimitError(`expected cablegram to be at most ${this.maxMessageBytes} bytes; was ${frameLength}`, { field: "msgLen" })
+    }
+    return frameLength
+  }
+
+  // merge all buffered chunks into a single buffer
+  _flatten() {
+    if (this.chunks.length > 1) {
+      this.chunks = [b4a.concat(this.chunks)]
+    }
+    return this.chunks[0]
+  }
+}
+
+// turns a byte stream into a stream of cablegrams. each emitted item is an object { buf, obj } where `buf` is the raw
+// cablegram and `obj` the result of parsing it with `parseMessage`. pass { parse: false } to only emit `buf`. pass
+// { hardened: true } or { limits } to decode untrusted input with limits (see decodeLimits in codec.js), in which case
+// cablegrams exceeding limits.maxMessageBytes are rejected before they are buffered; otherwise opts.maxMessageBytes is
+// passed on to the Framer
+class DecodeStream extends Transform {
+  constructor(opts) {
+    opts = opts || {}
+    super({ readableObjectMode: true })
+    const limits = codec.decodeLimits(opts)
+    this.framer = new Framer({ maxMessageBytes: limits ? limits.maxMessageBytes : opts.maxMessageBytes })
+    this.parse = opts.parse !== false
+    this.parseOpts = limits ? { limits } : undefined
+  }
+
+  _transform(chunk, enc, done) {
+    try {
+      const frames = this.framer.push(chunk)
+      frames.forEach(buf => {
+        const obj = this.parse ? cable.parseMessage(buf, this.parseOpts) : null
+        this.push({ buf, obj })
+      })
+    } catch (err) {
+      return done(err)
+    }
+    done()
+  }
+
+  _flush(done) {
+    if (this.framer.buffered > 0) {
+      return done(new TruncatedError(`stream ended with ${this.framer.buffered} bytes of an incomplete cablegram`))
+    }
+    done()
+  }
+}
+
+// takes cablegrams, as produced by the `create()` methods, and writes them out as a byte stream. each cablegram is
+// checked to be a whole cablegram (i.e. its msgLen prefix matches its length) before it is passed on
+class EncodeStream extends Transform {
+  constructor() {
+    super({ writableObjectMode: true })
+  }
+
+  _transform(buf, enc, done) {
+    if (!b4a.isBuffer(buf)) { return done(new InvalidArgumentError("expected cablegram to be a buffer")) }
+    // our own cablegrams are not bounded: a cablegram too large for peers is theirs to reject
+    const framer = new Framer({ maxMessageBytes: Infinity })
+    let frames
+    try {
+      frames = framer.push(buf)
+    } catch (err) {
+      return done(err)
+    }
+    if (frames.length !== 1 || framer.buffered > 0) {
+      return done(new InvalidArgumentError("expected cablegram to be a buffer containing exactly one msgLen-prefixed cablegram"))
+    }
+    done(null, buf)
+  }
+}
+
+module.exports = {
+  Framer,
+  DecodeStream,
+  EncodeStream
+}
@@ -0,0 +1,119 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { verifyPosts, BatchVerifier } = require("../batch")
+
+// returns `amount` posts, of which those at the indexes in `tampered` have an invalid signature
+function generatePosts (amount, tampered) {
+  const keypair = crypto.generateKeypair()
+  const posts = []
+  for (let i = 0; i < amount; i++) {
+    const post = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", i, `post ${i}`)
+    if (tampered.includes(i)) {
+      post[post.length - 1] ^= 1
+    }
+    posts.push(post)
+  }
+  return posts
+}
+
+function expectedResults (amount, tampered) {
+  const results = []
+  for (let i = 0; i < amount; i++) {
+    results.push(!tampered.includes(i))
+  }
+  return results
+}
+
+test("verifyPosts returns a result per post", t => {
+  const tampered = [1, 3]
+  const posts = generatePosts(5, tampered)
+  t.same(verifyPosts(posts), expectedResults(5, tampered), "only tampered posts should fail verification")
+  t.same(verifyPosts([]), [], "no posts should give no results")
+  t.same(verifyPosts([posts[0], "post", null]), [true, false, false], "items that are not buffers should fail verification")
+  t.same(verifyPosts([posts[0], b4a.alloc(5), b4a.alloc(0)]), [true, false, false], "buffers too short to be posts should fail verification")
+  t.throws(() => verifyPosts(posts[0]), /expected/, "should error when posts is not an array")
+  t.end()
+})
+
+test("verifyPosts accepts the posts of a post response", t => {
+  const posts = generatePosts(3, [])
+  const res = cable.POST_RESPONSE.create(crypto.generateReqID(), posts)
+  t.same(verifyPosts(cable.POST_RESPONSE.toJSON(res).posts), [true, true, true], "decoded posts should verify")
+  t.end()
+})
+
+test("batch verifier: worker threads give the same results as verifying synchronously", t => {
+  const tampered = [0, 17, 42, 99]
+  const posts = generatePosts(100, tampered)
+  const verifier = new BatchVerifier({ workers: 2 })
+  verifier.verify(posts).then(results => {
+    t.same(results, expectedResults(100, tampered), "results should be in the order of the posts")
+    return verifier.verify(posts.slice(0, 3))
+  }).then(results => {
+    t.same(results, [false, true, true], "small batches should be verified too")
+    return verifier.close()
+  }).then(() => {
+    return verifier.verify(posts).then(() => t.fail("should not verify after close"), err => {
+      t.ok(/expected/.test(err.message), "should error after close")
+    })
+  }).then(() => t.end(), err => t.end(err))
+})
+
+test("batch verifier: posts that cannot be verified at all should fail without failing the batch", t => {
+  const posts = generatePosts(40, [])
+  posts[20] = b4a.alloc(5)
+  const verifier = new BatchVerifier({ workers: 2 })
+  verifier.verify(posts).then(results => {
+    t.same(results, expectedResults(40, [20]), "only the short buffer should fail verification")
+    return verifier.close()
+  }).then(() => t.end(), err => t.end(err))
+})
+
+test("batch verifier: close after a worker has exited", t => {
+  const verifier = new BatchVerifier({ workers: 1 })
+  const worker = verifier._worker(0)
+  worker.once("exit", () => {
+    t.equal(verifier.workers[0], undefined, "exited worker should leave an empty slot")
+    verifier.close().then(() => {
+      t.pass("close should skip empty slots")
+      t.end()
+    }, err => t.end(err))
+  })
+  worker.terminate()
+})
+
+test("batch verifier: batches of a worker that exits should fail", t => {
+  const verifier = new BatchVerifier({ workers: 1 })
+  const pending = verifier.verify(generatePosts(40, []))
+  verifier.workers[0].terminate()
+  pending.then(() => t.fail("batch should fail"), err => {
+    t.ok(err instanceof cable.WorkerExitError, "should fail with a WorkerExitError")
+    t.equal(err.code, "ERR_WORKER_EXIT", "code should be ERR_WORKER_EXIT")
+    return verifier.close()
+  }).then(() => t.end(), err => t.end(err))
+})
+
+test("batch verifier: synchronous fallback", t => {
+  const tampered = [5]
+  const posts = generatePosts(20, tampered)
+  const verifier = new BatchVerifier({ workers: 0 })
+  verifier.verify(posts).then(results => {
+    t.same(results, expectedResults(20, tampered), "results should be the same without workers")
+    t.equal(verifier.workers.length, 0, "no workers should have been started")
+    return verifier.verify("posts").then(() => t.fail("should error"), err => {
+      t.equal(err.code, "ERR_INVALID_ARG", "should error when posts is not an array")
+    })
+  }).then(() => t.end(), err => t.end(err))
+})
+
+test("batch verifier: wrong parameters", t => {
+  t.throws(() => new BatchVerifier({ workers: -1 }), /expected/, "should error on a negative amount of workers")
+  t.throws(() => new BatchVerifier({ workers: 1.5 }), /expected/, "should error on a fractional amount of workers")
+  t.end()
+})
@@ -0,0 +1,87 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { Deletions } = require("../deletions")
+const { text, del, shuffle } = require("./helpers")
+
+const alice = crypto.generateKeypair()
+const bob = crypto.generateKeypair()
+
+test("deletions: a post/delete should delete posts by its own author", t => {
+  const deletions = new Deletions()
+  const post = text(alice, "default", 1, "hello")
+  const hash = cable.hashPost(post)
+  t.true(deletions.add(post), "adding a post should return true")
+  t.false(deletions.isDeleted(hash), "post should not be deleted yet")
+  deletions.add(del(alice, 2, [post]))
+  t.true(deletions.isDeleted(hash), "post should be deleted by its author")
+  t.true(deletions.isDeleted(b4a.toString(hash, "hex")), "isDeleted should take a hex string")
+  t.true(deletions.isDeleted(b4a.toString(hash, "hex").toUpperCase()), "hex string may be in uppercase")
+  t.same(deletions.deleted(), [hash], "deleted() should list the deleted hashes")
+  t.false(deletions.add(post), "adding a post again should return false")
+  t.throws(() => deletions.isDeleted(1), /expected/, "isDeleted should take a buffer or a hex string")
+  t.end()
+})
+
+test("deletions: a post/delete should not delete posts by others", t => {
+  const deletions = new Deletions()
+  const before = text(alice, "default", 1, "before")
+  const after = text(alice, "default", 3, "after")
+  deletions.add(before)
+  deletions.add(del(bob, 2, [before, after]))
+  deletions.add(after)
+  t.false(deletions.isDeleted(cable.hashPost(before)), "post added before bob's post/delete should not be deleted")
+  t.false(deletions.isDeleted(cable.hashPost(after)), "post added after bob's post/delete should not be deleted")
+  t.same(deletions.deleted(), [], "nothing should be deleted")
+  t.same(deletions.tombstones(), [], "tombstones should be dropped once their posts arrive")
+  t.end()
+})
+
+test("deletions: tombstones should be kept until their posts arrive", t => {
+  const deletions = new Deletions()
+  const post = text(alice, "default", 1, "hello")
+  const hash = cable.hashPost(post)
+  // both alice and bob delete the post before it arrives: only alice's post/delete should count
+  deletions.add(del(bob, 2, [post]))
+  deletions.add(del(alice, 3, [post]))
+  t.same(deletions.tombstones(), [hash], "missing post should have a tombstone")
+  t.false(deletions.isDeleted(hash), "missing post should not be deleted yet")
+  deletions.add(post)
+  t.true(deletions.isDeleted(hash), "post should be deleted once it arrives")
+  t.same(deletions.tombstones(), [], "tombstone should be dropped")
+  t.end()
+})
+
+test("deletions: purge should be called once for each deleted post", t => {
+  const purged = []
+  const deletions = new Deletions({ purge: hash => purged.push(hash) })
+  const first = text(alice, "default", 1, "first")
+  const second = text(alice, "default", 2, "second")
+  const others = text(bob, "default", 3, "bob's")
+  deletions.add(first)
+  deletions.add(del(alice, 4, [first, second, others]))
+  deletions.add(del(alice, 5, [first]))
+  deletions.add(second)
+  deletions.add(others)
+  t.same(purged, [cable.hashPost(first), cable.hashPost(second)], "purge should be called as each deletion is confirmed")
+  t.throws(() => new Deletions({ purge: "no" }), /expected/, "purge should be a function")
+  t.end()
+})
+
+test("deletions: the deleted posts should not depend on the order posts are added in", t => {
+  const posts = [text(alice, "default", 1, "a"), text(alice, "default", 2, "b"), text(bob, "default", 3, "c")]
+  posts.push(del(alice, 4, posts), del(bob, 5, posts))
+  const expected = [posts[0], posts[1], posts[2]].map(post => cable.hashPost(post)).sort(b4a.compare)
+  for (let seed = 1; seed <= 20; seed++) {
+    const deletions = new Deletions()
+    shuffle(posts, seed).forEach(post => deletions.add(cable.parsePost(post)))
+    t.same(deletions.deleted(), expected, `insertion order ${seed} should delete the same posts`)
+    t.same(deletions.tombstones(), [], `insertion order ${seed} should leave no tombstones`)
+  }
+  t.end()
+})
@@ -0,0 +1,369 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// property-based and fuzz tests of every decoder. the inputs are generated from a seeded prng, so that any failure can
+// be reproduced. the test suite always uses the same seed; the amount of runs, the seed and the time after which
+// decoding a single input counts as a hang can be set using environment variables, e.g. for a longer session:
+//
+//   FUZZ_RUNS=100000 FUZZ_SEED=1234 FUZZ_MAX_DECODE_MS=250 FUZZ_RECORD=1 npx tape test/fuzz.js
+//
+// any input that makes a decoder throw something other than a CableError, take too long, or return an object that
+// can't be encoded again fails the run. with FUZZ_RECORD=1 it is also recorded in test/fuzz-corpus/, and every input in
+// the corpus is replayed on each run
+const test = require("tape")
+const fs = require("fs")
+const path = require("path")
+const b4a = require("b4a")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const { Framer } = require("../stream")
+
+const RUNS = parseInt(process.env.FUZZ_RUNS || "300", 10)
+const SEED = parseInt(process.env.FUZZ_SEED || "1", 10)
+const RECORD = process.env.FUZZ_RECORD === "1"
+const CORPUS_DIR = path.join(__dirname, "fuzz-corpus")
+// decoding a single input taking longer than this is considered a hang. generous by default, so that slow machines do
+// not fail the test suite
+const MAX_DECODE_MS = parseInt(process.env.FUZZ_MAX_DECODE_MS || "5000", 10)
+
+// mulberry32: a small, seedable prng returning floats in [0, 1)
+function createRandom (seed) {
+  let state = seed >>> 0
+  return function random () {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const random = createRandom(SEED)
+
+function randomInt (max) {
+  return Math.floor(random() * max)
+}
+
+function pick (arr) {
+  return arr[randomInt(arr.length)]
+}
+
+function randomBytes (size) {
+  const buf = b4a.alloc(size)
+  for (let i = 0; i < size; i++) { buf[i] = randomInt(256) }
+  return buf
+}
+
+// varints of all sizes, biased towards small values and the edges of each varint byte length
+function randomVarint () {
+  return pick([
+    () => randomInt(128),
+    () => pick([0, 127, 128, 16383, 16384, 2 ** 21 - 1, 2 ** 28, 2 ** 32, Number.MAX_SAFE_INTEGER]),
+    () => randomInt(2 ** 31)
+  ])()
+}
+
+// a string of at most maxBytes utf-8 bytes, mixing ascii and multi-byte characters
+const CHARACTERS = ["a", "z", "0", " ", "-", "é", "€", "ß", "日", "本", "ع", "😀"]
+function randomString (minBytes, maxBytes) {
+  let s = ""
+  const target = minBytes + randomInt(Math.min(maxBytes, 80) - minBytes + 1)
+  while (b4a.byteLength(s) < target) {
+    const c = pick(CHARACTERS)
+    if (b4a.byteLength(s + c) > maxBytes) { break }
+    s += c
+  }
+  while (b4a.byteLength(s) < minBytes) { s += "a" }
+  return s
+}
+
+function randomHashes (max) {
+  const hashes = []
+  const count = randomInt(max + 1)
+  for (let i = 0; i < count; i++) { hashes.push(randomBytes(constants.HASH_SIZE)) }
+  return hashes
+}
+
+const randomChannel = () => randomString(constants.CHANNEL_NAME_MIN_CODEPOINTS, constants.CHANNEL_NAME_MAX_CODEPOINTS)
+const randomTTL = () => randomInt(17)
+const keypairs = [crypto.generateKeypair(), crypto.generateKeypair()]
+
+// generators of the arguments to each type's create(), for random valid fields
+const POSTS = {
+  TEXT_POST: (kp) => [kp.publicKey, kp.secretKey, randomHashes(3), randomChannel(), randomVarint(), randomString(0, constants.POST_TEXT_MAX_BYTES)],
+  DELETE_POST: (kp) => [kp.publicKey, kp.secretKey, randomHashes(3), randomVarint(), randomHashes(5)],
+  INFO_POST: (kp) => {
+    const info = []
+    if (random() < 0.5) {
+      info.push(["name", randomString(constants.USER_NAME_MIN_CODEPOINTS, constants.USER_NAME_MAX_CODEPOINTS)])
+    }
+    // keys are made unique by their index
+    const count = randomInt(3)
+    for (let i = 0; i < count; i++) {
+      info.push([`x${i}-` + randomString(1, constants.INFO_KEY_MAX_CODEPOINTS - 3), randomString(0, constants.INFO_VALUE_MAX_BYTES)])
+    }
+    return [kp.publicKey, kp.secretKey, randomHashes(3), randomVarint(), info]
+  },
+  TOPIC_POST: (kp) => [kp.publicKey, kp.secretKey, randomHashes(3), randomChannel(), randomVarint(), randomString(constants.TOPIC_MIN_CODEPOINTS, constants.TOPIC_MAX_CODEPOINTS)],
+  JOIN_POST: (kp) => [kp.publicKey, kp.secretKey, randomHashes(3), randomChannel(), randomVarint()],
+  LEAVE_POST: (kp) => [kp.publicKey, kp.secretKey, randomHashes(3), randomChannel(), randomVarint()]
+}
+
+function randomPost () {
+  const type = pick(Object.keys(POSTS))
+  return { type, args: POSTS[type](pick(keypairs)) }
+}
+
+const MESSAGES = {
+  HASH_RESPONSE: (reqid) => [reqid, randomHashes(8)],
+  POST_RESPONSE: (reqid) => {
+    const posts = []
+    const count = randomInt(4)
+    for (let i = 0; i < count; i++) {
+      const { type, args } = randomPost()
+      posts.push(cable[type].create(...args))
+    }
+    return [reqid, posts]
+  },
+  POST_REQUEST: (reqid) => [reqid, randomTTL(), randomHashes(8)],
+  CANCEL_REQUEST: (reqid) => [reqid, randomTTL(), randomBytes(constants.REQID_SIZE)],
+  TIME_RANGE_REQUEST: (reqid) => [reqid, randomTTL(), randomChannel(), randomVarint(), randomVarint(), randomVarint()],
+  CHANNEL_STATE_REQUEST: (reqid) => [reqid, randomTTL(), randomChannel(), randomInt(2)],
+  CHANNEL_LIST_REQUEST: (reqid) => [reqid, randomTTL(), randomVarint(), randomVarint()],
+  CHANNEL_LIST_RESPONSE: (reqid) => {
+    const channels = []
+    const count = randomInt(5)
+    for (let i = 0; i < count; i++) { channels.push(randomChannel()) }
+    return [reqid, channels]
+  }
+}
+
+function randomMessage () {
+  const type = pick(Object.keys(MESSAGES))
+  return { type, args: MESSAGES[type](randomBytes(constants.REQID_SIZE)) }
+}
+
+// mutations of a valid buffer, from small (a flipped bit) to large (a spliced in chunk of another buffer)
+const INTERESTING_BYTES = [0x00, 0x01, 0x7f, 0x80, 0xff]
+const MUTATIONS = [
+  (buf) => { buf[randomInt(buf.length)] ^= 1 << randomInt(8); return buf },
+  (buf) => { buf[randomInt(buf.length)] = pick(INTERESTING_BYTES); return buf },
+  (buf) => { buf[randomInt(buf.length)] = randomInt(256); return buf },
+  (buf) => buf.subarray(0, randomInt(buf.length)),
+  (buf) => {
+    const at = randomInt(buf.length)
+    return b4a.concat([buf.subarray(0, at), buf.subarray(at + 1 + randomInt(8))])
+  },
+  (buf) => {
+    const at = randomInt(buf.length)
+    return b4a.concat([buf.subarray(0, at), randomBytes(1 + randomInt(8)), buf.subarray(at)])
+  },
+  (buf) => {
+    const at = randomInt(buf.length)
+    return b4a.concat([buf.subarray(0, at), b4a.alloc(1 + randomInt(10)).fill(0xff), buf.subarray(at)])
+  },
+  (buf) => {
+    const from = randomInt(buf.length)
+    const chunk = buf.subarray(from, from + 1 + randomInt(64))
+    const at = randomInt(buf.length)
+    return b4a.concat([buf.subarray(0, at), chunk, buf.subarray(at)])
+  },
+  (buf) => b4a.concat([buf, randomBytes(1 + randomInt(8))])
+]
+
+function mutate (buf) {
+  let mutated = b4a.from(buf)
+  const count = 1 + randomInt(4)
+  for (let i = 0; i < count && mutated.length > 0; i++) {
+    mutated = pick(MUTATIONS)(mutated)
+  }
+  return mutated
+}
+
+// checks that decoding buf in every way possible either throws a CableError, or returns an object that is consistent:
+// it can be encoded again and decodes to itself. returns a description of the first problem found, or null
+function checkDecoders (kind, buf) {
+  const decoders = kind === "post"
+    ? [
+        ["parsePost", () => checkPost(cable.parsePost(buf))],
+        ["parsePost without verifying", () => checkPost(cable.parsePost(buf, { verify: false }))],
+        ["parsePost hardened", () => checkPost(cable.parsePost(buf, { verify: false, hardened: true }))],
+        ["verifyPost", () => checkBoolean(cable.verifyPost(buf))],
+        ["peekPost", () => checkInteger(cable.peekPost(buf))]
+      ].concat(Object.keys(POSTS).map(type => [`${type}.toJSON`, () => checkPost(cable[type].toJSON(buf, { verify: false }))]))
+    : [
+        ["parseMessage", () => checkMessage(cable.parseMessage(buf))],
+        ["parseMessage hardened", () => checkMessage(cable.parseMessage(buf, { hardened: true }))],
+        ["peekMessage", () => checkInteger(cable.peekMessage(buf))],
+        ["peekReqid", () => checkReqid(cable.peekReqid(buf))],
+        ["Framer", () => new Framer().push(buf)],
+        ["Framer with maxMessageBytes", () => new Framer({ maxMessageBytes: 64 }).push(buf)]
+      ].concat(Object.keys(MESSAGES).map(type => [`${type}.toJSON`, () => checkMessage(cable[type].toJSON(buf))]))
+      .concat(["POST_REQUEST", "TIME_RANGE_REQUEST", "CHANNEL_STATE_REQUEST", "CHANNEL_LIST_REQUEST"].map(type => {
+        return [`${type}.decrementTTL`, () => checkMessage(cable.parseMessage(cable[type].decrementTTL(buf)))]
+      }))
+
+  for (const [name, decode] of decoders) {
+    const start = Date.now()
+    try {
+      decode()
+    } catch (err) {
+      if (!(err instanceof cable.CableError)) {
+        return `${name} threw ${err && err.name}: ${err && err.message}`
+      }
+    }
+    const elapsed = Date.now() - start
+    if (elapsed > MAX_DECODE_MS) {
+      return `${name} took ${elapsed}ms`
+    }
+  }
+  return null
+}
+
+function checkMessage (obj) {
+  const again = cable.parseMessage(cable.encodeMessage(obj))
+  // msgLen is not compared: any bytes following the last field are not part of obj, and so are not encoded again
+  assertSame(Object.assign({}, again, { msgLen: obj.msgLen }), obj, "message should decode to itself after encoding")
+}
+
+// the signature of a post is only valid for its original bytes, so a decoded post is checked by converting it to and
+// from portable json, which checks each of its fields
+function checkPost (obj) {
+  assertSame(cable.fromPortableJSON(cable.toPortableJSON(obj)), obj, "post should survive portable json")
+}
+
+function checkInteger (n) {
+  if (!Number.isInteger(n)) { throw new Error(`expected an integer; was ${n}`) }
+}
+
+function checkBoolean (b) {
+  if (typeof b !== "boolean") { throw new Error(`expected a boolean; was ${b}`) }
+}
+
+function checkReqid (reqid) {
+  if (!b4a.isBuffer(reqid) || reqid.length !== constants.REQID_SIZE) { throw new Error("expected a reqid") }
+}
+
+function assertSame (a, b, description) {
+  if (!isSame(a, b)) { throw new Error(`expected ${description}`) }
+}
+
+function corpusPath (kind, buf) {
+  return path.join(CORPUS_DIR, `${kind}-${b4a.toString(crypto.hash(buf), "hex").slice(0, 16)}.hex`)
+}
+
+function recordCrash (kind, buf) {
+  fs.mkdirSync(CORPUS_DIR, { recursive: true })
+  const file = corpusPath(kind, buf)
+  fs.writeFileSync(file, b4a.toString(buf, "hex") + "\n")
+  return file
+}
+
+function readCorpus () {
+  if (!fs.existsSync(CORPUS_DIR)) { return [] }
+  return fs.readdirSync(CORPUS_DIR).filter(file => file.endsWith(".hex")).sort().map(file => {
+    const kind = file.startsWith("post-") ? "post" : "message"
+    return { file, kind, buf: b4a.from(fs.readFileSync(path.join(CORPUS_DIR, file), "utf8").trim(), "hex") }
+  })
+}
+
+// runs checkDecoders on buf, recording buf in the corpus if a problem was found and FUZZ_RECORD is set
+function fuzz (t, kind, buf) {
+  const problem = checkDecoders(kind, buf)
+  if (problem) {
+    const where = RECORD
+      ? `recorded in ${path.relative(process.cwd(), recordCrash(kind, buf))}`
+      : "set FUZZ_RECORD=1 to record it in test/fuzz-corpus/"
+    t.fail(`${problem} (seed ${SEED}, ${where})`)
+    return false
+  }
+  return true
+}
+
+test(`fuzz: seed ${SEED}, ${RUNS} runs`, t => {
+  t.pass("use FUZZ_SEED and FUZZ_RUNS to reproduce or extend")
+  t.end()
+})
+
+test("fuzz: corpus of previously crashing inputs", t => {
+  readCorpus().forEach(({ file, kind, buf }) => {
+    const problem = checkDecoders(kind, buf)
+    t.equal(problem, null, `${file} should decode without problems`)
+  })
+  t.end()
+})
+
+// compares objects by their portable json, which includes the order of their keys
+function isSame (a, b) {
+  return JSON.stringify(cable.toPortableJSON(a)) === JSON.stringify(cable.toPortableJSON(b))
+}
+
+test("property: posts round-trip through create and parse", t => {
+  let failures = 0
+  for (let i = 0; i < RUNS && failures < 10; i++) {
+    const { type, args } = randomPost()
+    const buf = cable[type].create(...args)
+    const obj = cable.parsePost(buf)
+    // the object parsePost should return: the signature is checked by parsePost itself
+    const expected = { publicKey: args[0], signature: obj.signature, links: args[2], postType: constants[type] }
+    cable[type].schema.args.forEach((name, j) => {
+      if (!["publicKey", "secretKey", "links"].includes(name)) { expected[name] = args[j] }
+    })
+    if (!isSame(obj, expected) || !b4a.equals(cable.encodePost(obj), buf)) {
+      failures++
+      t.fail(`${type} did not round-trip (seed ${SEED}, run ${i})`)
+    }
+  }
+  t.equal(failures, 0, "all posts should round-trip")
+  t.end()
+})
+
+test("property: messages round-trip through create and parse", t => {
+  let failures = 0
+  for (let i = 0; i < RUNS && failures < 10; i++) {
+    const { type, args } = randomMessage()
+    const buf = cable[type].create(...args)
+    const obj = cable.parseMessage(buf)
+    // the object parseMessage should return: msgLen is checked by parseMessage itself
+    const expected = { msgLen: obj.msgLen, msgType: constants[type] }
+    ;["reqid"].concat(cable[type].schema.fields.map(f => f.name)).forEach((name, j) => { expected[name] = args[j] })
+    if (!isSame(obj, expected) || !b4a.equals(cable.encodeMessage(obj), buf)) {
+      failures++
+      t.fail(`${type} did not round-trip (seed ${SEED}, run ${i})`)
+    }
+  }
+  t.equal(failures, 0, "all messages should round-trip")
+  t.end()
+})
+
+test("fuzz: mutated posts only raise cable errors", t => {
+  let failures = 0
+  for (let i = 0; i < RUNS && failures < 10; i++) {
+    const { type, args } = randomPost()
+    if (!fuzz(t, "post", mutate(cable[type].create(...args)))) { failures++ }
+  }
+  t.equal(failures, 0, "no mutated post should crash a decoder")
+  t.end()
+})
+
+test("fuzz: mutated messages only raise cable errors", t => {
+  let failures = 0
+  for (let i = 0; i < RUNS && failures < 10; i++) {
+    const { type, args } = randomMessage()
+    if (!fuzz(t, "message", mutate(cable[type].create(...args)))) { failures++ }
+  }
+  t.equal(failures, 0, "no mutated message should crash a decoder")
+  t.end()
+})
+
+test("fuzz: random bytes only raise cable errors", t => {
+  let failures = 0
+  for (let i = 0; i < RUNS && failures < 10; i++) {
+    const buf = randomBytes(randomInt(256))
+    if (!fuzz(t, pick(["post", "message"]), buf)) { failures++ }
+  }
+  t.equal(failures, 0, "no random buffer should crash a decoder")
+  t.end()
+})
@@ -0,0 +1,115 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const { toHex, hashId } = require("../hash")
+
+const errorPattern = /expected/
+
+function generatePosts (amount) {
+  const keypair = crypto.generateKeypair()
+  const posts = []
+  for (let i = 0; i < amount; i++) {
+    posts.push(cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", i, `post ${i}`))
+  }
+  return posts
+}
+
+test("hashPost and hashPosts should hash entire posts", t => {
+  const posts = generatePosts(3)
+  const hash = cable.hashPost(posts[0])
+  t.equal(hash.length, constants.HASH_SIZE, "hash should be HASH_SIZE bytes")
+  t.same(hash, crypto.hash(posts[0]), "hash should be that of the entire buffer")
+  t.same(cable.hashPosts(posts), posts.map(post => crypto.hash(post)), "hashPosts should hash each post in order")
+  t.throws(() => cable.hashPost("post"), errorPattern, "should error when post is not a buffer")
+  t.throws(() => cable.hashPosts(posts[0]), errorPattern, "should error when posts is not an array")
+  t.end()
+})
+
+test("hashes should be compared and sorted by their bytes", t => {
+  const low = b4a.alloc(constants.HASH_SIZE, 1)
+  const high = b4a.alloc(constants.HASH_SIZE, 2)
+  t.true(cable.compareHashes(low, high) < 0, "lower hash should come first")
+  t.true(cable.compareHashes(high, low) > 0, "higher hash should come last")
+  t.equal(cable.compareHashes(low, b4a.from(low)), 0, "equal hashes should compare as 0")
+  t.true(cable.equalHashes(low, b4a.from(low)), "equal hashes should be equal")
+  t.false(cable.equalHashes(low, high), "different hashes should not be equal")
+  t.same(cable.sortHashes([high, low, high]), [low, high], "sortHashes should sort and drop duplicates")
+  t.throws(() => cable.compareHashes(low, b4a.alloc(3)), errorPattern, "should error when a hash is not HASH_SIZE bytes")
+  t.end()
+})
+
+test("hashes should be formatted and parsed as hex and base32", t => {
+  const hash = cable.hashPost(generatePosts(1)[0])
+  t.equal(cable.hashToHex(hash), b4a.toString(hash, "hex"), "hex should be the lowercase hex of the hash")
+  t.same(cable.hashFromHex(cable.hashToHex(hash)), hash, "hex should parse back into the hash")
+  t.same(cable.hashFromHex(cable.hashToHex(hash).toUpperCase()), hash, "uppercase hex should parse")
+
+  t.equal(cable.hashToBase32(b4a.alloc(constants.HASH_SIZE, 0)), "a".repeat(52), "zero hash should be all a's")
+  t.equal(cable.hashToBase32(b4a.alloc(constants.HASH_SIZE, 0xff)), "7".repeat(51) + "q", "last character should be zero padded")
+  t.same(cable.hashFromBase32(cable.hashToBase32(hash)), hash, "base32 should parse back into the hash")
+  t.same(cable.hashFromBase32(cable.hashToBase32(hash).toUpperCase()), hash, "uppercase base32 should parse")
+
+  t.throws(() => cable.hashFromHex("abc"), errorPattern, "short hex should error")
+  t.throws(() => cable.hashFromHex("zz".repeat(constants.HASH_SIZE)), errorPattern, "invalid hex should error")
+  t.throws(() => cable.hashFromBase32("a".repeat(51)), errorPattern, "short base32 should error")
+  t.throws(() => cable.hashFromBase32("1".repeat(52)), errorPattern, "invalid base32 characters should error")
+  t.throws(() => cable.hashFromBase32("7".repeat(52)), errorPattern, "nonzero padding should error")
+  t.throws(() => cable.hashToHex(b4a.alloc(3)), errorPattern, "formatting a non-hash should error")
+  t.end()
+})
+
+test("hashes should be keyed by their hex form", t => {
+  const hash = cable.hashPost(generatePosts(1)[0])
+  const hex = b4a.toString(hash, "hex")
+  t.equal(toHex(hash), hex, "toHex should return the hex of a buffer")
+  t.equal(hashId(hash), hex, "hashId should take a buffer")
+  t.equal(hashId(hex.toUpperCase()), hex, "hashId should take hex in uppercase")
+  t.throws(() => hashId(1), errorPattern, "hashId should reject other values")
+  t.end()
+})
+
+test("PostRef should bundle a post with its hash", t => {
+  const [post, other] = generatePosts(2)
+  const ref = new cable.PostRef(post)
+  t.same(ref.buf, post, "ref should keep the post")
+  t.same(ref.hash, cable.hashPost(post), "ref should hash the post")
+  t.equal(ref.hex, cable.hashToHex(ref.hash), "hex should format the hash")
+  t.equal(ref.base32, cable.hashToBase32(ref.hash), "base32 should format the hash")
+  t.true(ref.equals(new cable.PostRef(b4a.from(post))), "refs of the same post should be equal")
+  t.true(ref.equals(cable.hashPost(post)), "ref should equal its hash")
+  t.false(ref.equals(new cable.PostRef(other)), "refs of different posts should not be equal")
+  t.true(cable.PostRef.isPostRef(ref), "isPostRef should recognize refs")
+  t.false(cable.PostRef.isPostRef(ref.hash), "isPostRef should not recognize hashes")
+  const known = cable.hashPost(post)
+  t.equal(new cable.PostRef(post, known).hash, known, "a known hash should be used as-is")
+  t.throws(() => new cable.PostRef("post"), errorPattern, "should error when the post is not a buffer")
+  t.throws(() => new cable.PostRef(post, b4a.alloc(3)), errorPattern, "should error when the hash is not HASH_SIZE bytes")
+  t.end()
+})
+
+test("PostRefs should be accepted wherever hashes are", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const refs = generatePosts(3).map(post => new cable.PostRef(post))
+  const hashes = refs.map(ref => ref.hash)
+
+  const text = cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, refs.slice(0, 1), "default", 0, "hi")
+  t.same(cable.parsePost(text).links, hashes.slice(0, 1), "links should take refs")
+  const del = cable.DELETE_POST.create(keypair.publicKey, keypair.secretKey, [], 0, refs)
+  t.same(cable.parsePost(del).hashes, hashes, "post/delete hashes should take refs")
+  t.same(cable.parseMessage(cable.POST_REQUEST.create(reqid, 1, refs)).hashes, hashes, "post request should take refs")
+  t.same(cable.parseMessage(cable.HASH_RESPONSE.create(reqid, [refs[0], hashes[1]])).hashes, hashes.slice(0, 2), "refs and hashes should mix")
+  t.same(cable.parseMessage(cable.POST_RESPONSE.create(reqid, refs)).posts, refs.map(ref => ref.buf), "post response should take refs as posts")
+
+  const hashResponses = cable.createResponses(constants.HASH_RESPONSE, reqid, refs, 1024)
+  t.same(cable.parseMessage(hashResponses[0]).hashes, hashes, "createResponses should take refs as hashes")
+  const postResponses = cable.createResponses(constants.POST_RESPONSE, reqid, refs, 1024)
+  t.same(cable.parseMessage(postResponses[0]).posts, refs.map(ref => ref.buf), "createResponses should take refs as posts")
+  t.end()
+})
@@ -0,0 +1,96 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { ChannelHeads } = require("../heads")
+
+const keypair = crypto.generateKeypair()
+
+function text (links, channel, timestamp) {
+  return cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, channel, timestamp, `post ${timestamp}`)
+}
+
+function sorted (hashes) {
+  return hashes.slice().sort(b4a.compare)
+}
+
+test("heads: a new post supersedes the heads it links to", t => {
+  const heads = new ChannelHeads()
+  t.same(heads.links("default"), [], "unknown channel should have no links")
+  const first = text([], "default", 1)
+  heads.add(first)
+  t.same(heads.links("default"), [cable.hashPost(first)], "first post should be the head")
+  const second = text(heads.links("default"), "default", 2)
+  heads.add(second)
+  t.same(heads.links("default"), [cable.hashPost(second)], "post linking to the head should replace it")
+
+  // two posts made concurrently, both linking to second
+  const a = text([cable.hashPost(second)], "default", 3)
+  const b = text([cable.hashPost(second)], "default", 4)
+  heads.add(a)
+  heads.add(b)
+  t.same(heads.links("default"), sorted([cable.hashPost(a), cable.hashPost(b)]), "concurrent posts should both be heads")
+  const merge = text(heads.links("default"), "default", 5)
+  heads.add(merge)
+  t.same(heads.getHeads("default"), [cable.hashPost(merge)], "post linking to both should merge them")
+  t.end()
+})
+
+test("heads: channels and posts without a channel are tracked separately", t => {
+  const heads = new ChannelHeads()
+  const inDefault = text([], "default", 1)
+  const inDev = text([], "dev", 1)
+  const info = cable.INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 1, [["name", "cabler"]])
+  ;[inDefault, inDev, info].forEach(post => heads.add(post))
+  t.same(heads.links("default"), [cable.hashPost(inDefault)], "default should have its own head")
+  t.same(heads.links("dev"), [cable.hashPost(inDev)], "dev should have its own head")
+  t.same(heads.links(), [cable.hashPost(info)], "post/info should be a head without a channel")
+  t.same(heads.links(null), heads.links(), "null should be the same as no channel")
+  t.same(heads.channels().sort(), ["default", "dev"], "channels() should list channels with heads")
+
+  // a post/delete of a post in default supersedes it, wherever that post was a head
+  const del = cable.DELETE_POST.create(keypair.publicKey, keypair.secretKey, [cable.hashPost(info), cable.hashPost(inDefault)], 2, [cable.hashPost(inDefault)])
+  heads.add(del)
+  t.same(heads.links(), [cable.hashPost(del)], "post/delete should replace the post/info head")
+  t.same(heads.links("default"), [], "linked posts of other channels should no longer be heads")
+  t.same(heads.channels(), ["dev"], "channels without heads should not be listed")
+  t.end()
+})
+
+test("heads: posts may be added in any order and in any form", t => {
+  const first = text([], "default", 1)
+  const second = text([cable.hashPost(first)], "default", 2)
+  const third = text([cable.hashPost(second)], "default", 3)
+
+  const heads = new ChannelHeads()
+  t.true(heads.add(cable.parsePost(third)), "decoded posts should be added")
+  t.true(heads.add(new cable.PostRef(first)), "PostRefs should be added")
+  t.true(heads.add(second), "buffers should be added")
+  t.false(heads.add(second), "adding a post again should return false")
+  t.same(heads.links("default"), [cable.hashPost(third)], "posts linked to before they were added should not be heads")
+
+  t.throws(() => heads.add("post"), /expected/, "should error on other values")
+  const tampered = b4a.from(first)
+  tampered[tampered.length - 1] ^= 1
+  t.throws(() => heads.add(tampered), err => err.code === "ERR_BAD_SIGNATURE", "buffers should be verified")
+  const decoded = cable.parsePost(tampered, { verify: false })
+  t.throws(() => heads.add(decoded), err => err.code === "ERR_BAD_SIGNATURE", "decoded posts should be verified")
+  t.true(heads.add(decoded, { verify: false }), "decoded posts should be added without verifying if opts.verify is false")
+  t.ok(heads.getHeads("default").some(hash => b4a.equals(hash, cable.hashPost(tampered))), "decoded post should be hashed as it was encoded")
+  t.end()
+})
+
+test("heads: links should be capped at maxLinks, keeping the latest heads", t => {
+  const heads = new ChannelHeads({ maxLinks: 2 })
+  const posts = [1, 4, 2, 3].map(timestamp => text([], "default", timestamp))
+  posts.forEach(post => heads.add(post))
+  t.equal(heads.getHeads("default").length, 4, "all heads should be tracked")
+  t.same(heads.links("default"), sorted([posts[1], posts[3]].map(post => cable.hashPost(post))), "links should be the latest heads")
+  t.throws(() => new ChannelHeads({ maxLinks: 0 }), /expected/, "maxLinks should be a positive integer")
+  t.throws(() => heads.links(1), /expected/, "channel should be a string")
+  t.end()
+})
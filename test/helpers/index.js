@@ -0,0 +1,38 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// helpers shared by the tests. they live outside of test/*.js so that they are not run as tests themselves
+const cable = require("../../index")
+
+// posts by the keypair kp, linking to no posts
+const text = (kp, channel, timestamp, s) => cable.TEXT_POST.create(kp.publicKey, kp.secretKey, [], channel, timestamp, s)
+const topic = (kp, channel, timestamp, s) => cable.TOPIC_POST.create(kp.publicKey, kp.secretKey, [], channel, timestamp, s)
+const join = (kp, channel, timestamp) => cable.JOIN_POST.create(kp.publicKey, kp.secretKey, [], channel, timestamp)
+const leave = (kp, channel, timestamp) => cable.LEAVE_POST.create(kp.publicKey, kp.secretKey, [], channel, timestamp)
+const setInfo = (kp, timestamp, info) => cable.INFO_POST.create(kp.publicKey, kp.secretKey, [], timestamp, info)
+const del = (kp, timestamp, posts) => cable.DELETE_POST.create(kp.publicKey, kp.secretKey, [], timestamp, hashes(posts))
+
+const hashes = posts => posts.map(post => cable.hashPost(post))
+
+// a deterministic shuffle (to keep failures reproducible)
+function shuffle (arr, seed) {
+  const copy = arr.slice()
+  for (let i = copy.length - 1; i > 0; i--) {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    const j = seed % (i + 1)
+    ;[copy[i], copy[j]] = [copy[j], copy[i]]
+  }
+  return copy
+}
+
+module.exports = {
+  text,
+  topic,
+  join,
+  leave,
+  setInfo,
+  del,
+  hashes,
+  shuffle
+}
@@ -0,0 +1,99 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { CausalOrder, orderPosts } = require("../order")
+const { shuffle } = require("./helpers")
+
+const keypair = crypto.generateKeypair()
+
+function text (links, timestamp, s) {
+  return cable.TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, "default", timestamp, s || `post ${timestamp}`)
+}
+
+function texts (posts) {
+  return posts.map(post => post.text)
+}
+
+test("order: links should happen before, whatever the timestamps", t => {
+  const parent = text([], 100, "parent")
+  // the clock of the child's author is behind
+  const child = text([cable.hashPost(parent)], 50, "child")
+  const unrelated = text([], 75, "unrelated")
+  t.same(texts(orderPosts([child, parent, unrelated])), ["unrelated", "parent", "child"], "child should come after parent")
+  t.end()
+})
+
+test("order: concurrent posts should be ordered by timestamp and then hash", t => {
+  const a = text([], 20, "a")
+  const b = text([], 10, "b")
+  t.same(texts(orderPosts([a, b])), ["b", "a"], "earlier timestamp should come first")
+  const c = text([], 30, "c")
+  const d = text([], 30, "d")
+  const expected = b4a.compare(cable.hashPost(c), cable.hashPost(d)) < 0 ? ["c", "d"] : ["d", "c"]
+  t.same(texts(orderPosts([d, c])), expected, "equal timestamps should be ordered by hash")
+  t.same(texts(orderPosts([c, d])), expected, "the order should not depend on the input order")
+
+  // a parent and child with the same timestamp
+  const parent = text([], 40, "parent")
+  const child = text([cable.hashPost(parent)], 40, "child")
+  t.same(texts(orderPosts([child, parent])), ["parent", "child"], "child should come after a parent of the same timestamp")
+  t.end()
+})
+
+test("order: the order should only depend on the set of posts", t => {
+  // a DAG of skewed clocks, merges and a missing ancestor
+  const missing = text([], 1, "missing")
+  const root = text([], 10, "root")
+  const a = text([cable.hashPost(root)], 5, "a")
+  const b = text([cable.hashPost(root)], 12, "b")
+  const merge = text([cable.hashPost(a), cable.hashPost(b)], 11, "merge")
+  const orphan = text([cable.hashPost(missing)], 3, "orphan")
+  const late = text([cable.hashPost(merge), cable.hashPost(orphan)], 2, "late")
+  const posts = [root, a, b, merge, orphan, late]
+
+  const expected = texts(orderPosts(posts))
+  t.same(expected, ["orphan", "root", "a", "b", "merge", "late"], "posts should be in causal order")
+  for (let seed = 1; seed <= 20; seed++) {
+    const order = new CausalOrder()
+    shuffle(posts, seed).forEach(post => order.add(post))
+    t.same(texts(order.posts()), expected, `insertion order ${seed} should give the same order`)
+  }
+  t.end()
+})
+
+test("order: missing ancestors should move their descendants once added", t => {
+  const parent = text([], 100, "parent")
+  const child = text([cable.hashPost(parent)], 1, "child")
+  const grandchild = text([cable.hashPost(child)], 2, "grandchild")
+  const other = text([], 50, "other")
+
+  const order = new CausalOrder()
+  ;[grandchild, child, other].forEach(post => order.add(post))
+  t.same(texts(order.posts()), ["child", "grandchild", "other"], "posts should be ordered by what is known")
+  order.add(parent)
+  t.same(texts(order.posts()), ["other", "parent", "child", "grandchild"], "descendants should move after their ancestor")
+  t.same(order.hashes(), order.posts().map(post => cable.hashPost(cable.encodePost(post))), "hashes should be in the same order")
+  t.end()
+})
+
+test("order: CausalOrder should take posts in any form", t => {
+  const first = text([], 1)
+  const second = text([cable.hashPost(first)], 2)
+  const third = text([cable.hashPost(second)], 3)
+  const order = new CausalOrder()
+  t.true(order.add(cable.parsePost(third)), "decoded posts should be added")
+  t.true(order.add(new cable.PostRef(second)), "PostRefs should be added")
+  t.true(order.add(first), "buffers should be added")
+  t.false(order.add(first), "adding a post again should return false")
+  t.equal(order.length, 3, "length should count the posts")
+  t.equal(order.indexOf(cable.hashPost(third)), 2, "indexOf should return the position of a post")
+  t.equal(order.indexOf(cable.hashPost(text([], 4))), -1, "indexOf should return -1 for unknown posts")
+  t.throws(() => order.add("post"), /expected/, "should error on other values")
+  t.throws(() => orderPosts(first), /expected/, "orderPosts should take an array")
+  t.end()
+})
@@ -0,0 +1,216 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const { RequestManager } = require("../requests")
+const { MemoryStore } = require("../store")
+const { Responder } = require("../responder")
+const { text } = require("./helpers")
+
+const alice = crypto.generateKeypair()
+
+// a manager whose requests are recorded in sent, to be answered by the test
+function setup (opts) {
+  const sent = []
+  const manager = new RequestManager(buf => sent.push(buf), opts)
+  return { sent, manager }
+}
+
+test("requests: responses should be routed to their request until it is concluded", t => {
+  const store = new MemoryStore()
+  const posts = [1, 2, 3].map(timestamp => text(alice, "default", timestamp, `post ${timestamp}`))
+  posts.forEach(post => store.add(post))
+  const responder = new Responder(store)
+  // answer each request asynchronously, as a peer would
+  const manager = new RequestManager(buf => {
+    responder.respond(buf).then(responses => responses.forEach(response => manager.receive(response)))
+  })
+  const hashes = posts.map(post => cable.hashPost(post))
+  manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 10, 0]).collect().then(items => {
+    t.same(items, hashes, "hashes of all responses should be collected")
+    t.equal(manager.size, 0, "concluded request should be forgotten")
+    return manager.request(constants.POST_REQUEST, [1, hashes]).collect()
+  }).then(items => {
+    t.same(items, posts, "posts should be collected")
+    return manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0]).collect()
+  }).then(items => {
+    t.same(items, ["default"], "channels should be collected")
+    t.equal(manager.size, 0, "no request should be left")
+    t.end()
+  })
+})
+
+test("requests: responses should be yielded by iterating over the request", async t => {
+  const { sent, manager } = setup()
+  const request = manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  t.equal(sent.length, 1, "request should be sent right away")
+  const req = cable.TIME_RANGE_REQUEST.toJSON(sent[0])
+  t.same(req.reqid, request.reqid, "request should be sent with the reqid of the Request")
+  const first = cable.createResponses(constants.HASH_RESPONSE, req.reqid, [b4a.alloc(32, 1)], 1024)
+  const rest = cable.createResponses(constants.HASH_RESPONSE, req.reqid, [b4a.alloc(32, 2)], 1024, { conclude: true })
+  t.true(manager.receive(first[0]), "response to a live request should be routed")
+  setTimeout(() => rest.forEach(buf => manager.receive(buf)), 5)
+  const received = []
+  for await (const response of request) {
+    received.push(response.hashes[0][0])
+  }
+  t.same(received, [1, 2], "each response should be yielded, in order")
+  t.false(manager.receive(rest[1]), "response to a concluded request should not be routed")
+  t.equal(sent.length, 1, "concluded request should not be canceled")
+})
+
+test("requests: canceling should send a cancel request and end the request", async t => {
+  const { sent, manager } = setup()
+  const request = manager.request(constants.CHANNEL_STATE_REQUEST, [1, "default", 1])
+  const reqid = cable.peekReqid(sent[0])
+  manager.receive(cable.HASH_RESPONSE.create(reqid, [b4a.alloc(32)]))
+  for await (const response of request) {
+    t.equal(response.hashes.length, 1, "response should be yielded")
+    break
+  }
+  t.equal(sent.length, 2, "leaving the loop early should send a cancel request")
+  const cancel = cable.CANCEL_REQUEST.toJSON(sent[1])
+  t.same(cancel.cancelid, reqid, "cancel request should name the request")
+  t.false(b4a.equals(cancel.reqid, reqid), "cancel request should have a reqid of its own")
+  t.equal(manager.size, 0, "canceled request should be forgotten")
+  t.false(manager.receive(cable.HASH_RESPONSE.create(reqid, [])), "responses to a canceled request should not be routed")
+  request.cancel()
+  t.equal(sent.length, 2, "canceling again should not send another cancel request")
+  const other = manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0])
+  other.cancel()
+  t.same(await other.collect(), [], "canceled request should end without failing")
+})
+
+test("requests: an AbortSignal should cancel the request", async t => {
+  const { sent, manager } = setup()
+  const controller = new AbortController()
+  const request = manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0], { signal: controller.signal })
+  const reason = new Error("aborted")
+  controller.abort(reason)
+  await request.collect().then(() => t.fail("aborted request should fail"), err => {
+    t.equal(err, reason, "aborted request should fail with the signal's reason")
+  })
+  t.equal(cable.CANCEL_REQUEST.toJSON(sent[1]).cancelid.length, constants.REQID_SIZE, "a cancel request should be sent")
+  t.equal(manager.size, 0, "aborted request should be forgotten")
+  const aborted = manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0], { signal: controller.signal })
+  await aborted.collect().then(() => t.fail("request with an aborted signal should fail"), err => {
+    t.equal(err, reason, "request with an aborted signal should fail with its reason")
+  })
+  t.equal(sent.length, 2, "request with an aborted signal should not be sent")
+})
+
+test("requests: requests should time out", async t => {
+  const { sent, manager } = setup({ timeout: 10 })
+  const request = manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  await request.collect().then(() => t.fail("request should time out"), err => {
+    t.equal(err.code, "ERR_TIMEOUT", "request should fail with a TimeoutError")
+  })
+  t.equal(sent.length, 2, "timed out request should be canceled")
+  t.equal(manager.size, 0, "timed out request should be forgotten")
+  const quick = manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0], { timeout: 0 })
+  manager.receive(cable.CHANNEL_LIST_RESPONSE.create(quick.reqid, []))
+  t.same(await quick.collect(), [], "timeout 0 should turn the timeout off")
+})
+
+test("requests: reqids should not collide with those of live requests", t => {
+  const { manager } = setup()
+  const generateReqID = crypto.generateReqID
+  const reqids = [b4a.from("aaaaaaaa", "hex"), b4a.from("aaaaaaaa", "hex"), b4a.from("bbbbbbbb", "hex")]
+  crypto.generateReqID = () => reqids.shift()
+  const first = manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0])
+  const second = manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0])
+  crypto.generateReqID = generateReqID
+  t.same(first.reqid, b4a.from("aaaaaaaa", "hex"), "first request should have the first reqid")
+  t.same(second.reqid, b4a.from("bbbbbbbb", "hex"), "a reqid in use should be skipped")
+  t.equal(manager.size, 2, "both requests should be live")
+  t.end()
+})
+
+test("requests: responses of the wrong type should fail the request", t => {
+  const { sent, manager } = setup()
+  const request = manager.request(constants.POST_REQUEST, [1, [b4a.alloc(32)]])
+  t.true(manager.receive(cable.HASH_RESPONSE.create(request.reqid, [b4a.alloc(32)])), "response should be routed")
+  request.collect().then(() => t.fail("request should fail"), err => {
+    t.equal(err.code, "ERR_WRONG_TYPE", "request should fail with a WrongTypeError")
+    t.equal(sent.length, 2, "failed request should be canceled")
+    t.end()
+  })
+})
+
+test("requests: reads made before responses arrive should all be settled", async t => {
+  const { manager } = setup()
+  const request = manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  const first = request.next()
+  const second = request.next()
+  const third = request.next()
+  manager.receive(cable.HASH_RESPONSE.create(request.reqid, [b4a.alloc(32, 1)]))
+  manager.receive(cable.HASH_RESPONSE.create(request.reqid, [b4a.alloc(32, 2)]))
+  manager.receive(cable.HASH_RESPONSE.create(request.reqid, []))
+  const results = await Promise.all([first, second, third])
+  t.same(results.map(result => result.done ? null : result.value.hashes[0][0]), [1, 2, null], "reads should be settled in order")
+})
+
+test("requests: malformed responses should fail the request", t => {
+  const { sent, manager } = setup({ timeout: 1000 })
+  const request = manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  const response = cable.HASH_RESPONSE.create(request.reqid, [b4a.alloc(32)])
+  t.throws(() => manager.receive(response.subarray(0, response.length - 1)), /expected/, "decoding error should be thrown")
+  t.equal(manager.size, 0, "failed request should be forgotten")
+  t.equal(sent.length, 2, "failed request should be canceled")
+  request.collect().then(() => t.fail("request should fail"), err => {
+    t.equal(err.code, "ERR_TRUNCATED", "request should fail with the decoding error")
+    t.end()
+  })
+})
+
+test("requests: requests that cannot be sent should be forgotten", t => {
+  const error = new Error("closed")
+  const manager = new RequestManager(() => { throw error }, { timeout: 10 })
+  const controller = new AbortController()
+  const issue = () => manager.request(constants.CHANNEL_LIST_REQUEST, [1, 0, 0], { signal: controller.signal })
+  t.throws(issue, /closed/, "the error of send should be thrown")
+  t.equal(manager.size, 0, "request should not be registered")
+  // neither the timer nor the abort listener of the request should be left: aborting must not send a cancel request
+  controller.abort(new Error("aborted"))
+  setTimeout(() => t.end(), 20)
+})
+
+test("requests: responses should be decoded as hardened unless opted out", t => {
+  const hashes = [b4a.alloc(32, 1), b4a.alloc(32, 2)]
+  const { manager } = setup({ limits: { maxHashes: 1 } })
+  const request = manager.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  t.throws(() => manager.receive(cable.HASH_RESPONSE.create(request.reqid, hashes)), err => err.code === "ERR_LIMIT_EXCEEDED", "limits should override the defaults")
+  // a trailing byte, with msgLen (a single byte) counting it
+  const padded = reqid => {
+    const response = cable.HASH_RESPONSE.create(reqid, hashes)
+    const buf = b4a.concat([response, b4a.from([0])])
+    buf[0] += 1
+    return buf
+  }
+  const hardened = setup().manager
+  const first = hardened.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  t.throws(() => hardened.receive(padded(first.reqid)), err => err.code === "ERR_TRAILING_BYTES", "responses should be hardened by default")
+  const lax = setup({ hardened: false }).manager
+  const second = lax.request(constants.TIME_RANGE_REQUEST, [1, "default", 0, 0, 0])
+  t.true(lax.receive(padded(second.reqid)), "hardened: false should opt out")
+  second.cancel()
+  t.end()
+})
+
+test("requests: invalid input should be rejected", t => {
+  const { manager } = setup()
+  t.throws(() => new RequestManager(), /expected send/, "send should be a function")
+  t.throws(() => new RequestManager(() => {}, { timeout: -1 }), /expected timeout/, "timeout should be a non-negative integer")
+  t.throws(() => manager.request(constants.CANCEL_REQUEST, [1, b4a.alloc(4)]), /expected msgType/, "cancel requests should be rejected")
+  t.throws(() => manager.request(constants.POST_REQUEST, "args"), /expected args/, "args should be an array")
+  t.throws(() => manager.request(constants.TIME_RANGE_REQUEST, [1, 2, 0, 0, 0]), /expected/, "args should be checked")
+  t.equal(manager.size, 0, "invalid requests should not be registered")
+  const req = cable.POST_REQUEST.create(crypto.generateReqID(), 1, [])
+  t.throws(() => manager.receive(req), /expected a response/, "requests should not be received")
+  t.end()
+})
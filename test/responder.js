@@ -0,0 +1,158 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { MemoryStore } = require("../store")
+const { Responder } = require("../responder")
+const { text, join, hashes } = require("./helpers")
+
+const alice = crypto.generateKeypair()
+
+function setup (opts) {
+  const store = new MemoryStore()
+  const posts = [1, 2, 3, 4].map(timestamp => text(alice, "default", timestamp, `post ${timestamp}`))
+  posts.concat([join(alice, "default", 1), join(alice, "dev", 2), join(alice, "introduction", 3)]).forEach(post => store.add(post))
+  return { store, posts, responder: new Responder(store, opts) }
+}
+
+test("responder: post requests should be answered with post responses", t => {
+  const { posts, responder } = setup()
+  const reqid = crypto.generateReqID()
+  const req = cable.POST_REQUEST.create(reqid, 1, [cable.hashPost(posts[1]), b4a.alloc(32), cable.hashPost(posts[0])])
+  responder.respond(req).then(responses => {
+    t.equal(responses.length, 2, "posts should be followed by a concluding response")
+    const [first, last] = responses.map(buf => cable.POST_RESPONSE.toJSON(buf))
+    t.same(first.reqid, reqid, "response should have the reqid of the request")
+    t.same(first.posts, [posts[1], posts[0]], "stored posts should be sent, skipping unknown hashes")
+    t.same(last.reqid, reqid, "concluding response should have the reqid of the request")
+    t.same(last.posts, [], "concluding response should be empty")
+    t.end()
+  })
+})
+
+test("responder: time range requests should be answered with hash responses", t => {
+  const { posts, responder } = setup()
+  const reqid = crypto.generateReqID()
+  responder.respond(cable.TIME_RANGE_REQUEST.create(reqid, 1, "default", 2, 4, 1)).then(responses => {
+    const objs = responses.map(buf => cable.HASH_RESPONSE.toJSON(buf))
+    t.same(objs.map(obj => obj.hashes), [hashes([posts[2]]), []], "timeStart, timeEnd and limit should be respected")
+    t.true(objs.every(obj => b4a.equals(obj.reqid, reqid)), "responses should have the reqid of the request")
+    t.false(responder.isLive(reqid), "request with a timeEnd should not be live")
+    t.end()
+  })
+})
+
+test("responder: requests for future posts should be kept live until canceled", t => {
+  const { posts, responder } = setup()
+  const reqid = crypto.generateReqID()
+  const stateid = crypto.generateReqID()
+  responder.respond(cable.TIME_RANGE_REQUEST.create(reqid, 1, "default", 3, 0, 0)).then(responses => {
+    t.same(responses.map(buf => cable.HASH_RESPONSE.toJSON(buf).hashes), [hashes(posts.slice(2))], "live request should not be concluded")
+    t.true(responder.isLive(reqid), "request with a timeEnd of 0 should be live")
+    return responder.respond(cable.CHANNEL_STATE_REQUEST.create(stateid, 1, "dev", 1))
+  }).then(responses => {
+    t.equal(responses.length, 1, "live channel state request should not be concluded")
+    t.true(responder.isLive(stateid), "request with future set to 1 should be live")
+    return responder.respond(cable.CANCEL_REQUEST.create(crypto.generateReqID(), 1, reqid))
+  }).then(responses => {
+    t.same(responses, [], "cancel request should have no responses")
+    t.false(responder.isLive(reqid), "canceled request should no longer be live")
+    t.true(responder.isLive(stateid), "other live requests should be kept")
+    t.end()
+  })
+})
+
+test("responder: channel state requests should be answered with hash responses", t => {
+  const { store, responder } = setup()
+  const reqid = crypto.generateReqID()
+  responder.respond(cable.CHANNEL_STATE_REQUEST.create(reqid, 1, "default", 0)).then(responses => {
+    const objs = responses.map(buf => cable.HASH_RESPONSE.toJSON(buf))
+    t.same(objs.map(obj => obj.hashes), [store.channelState({ channel: "default" }), []], "state should be sent and concluded")
+    t.false(responder.isLive(reqid), "request without future should not be live")
+    t.end()
+  })
+})
+
+test("responder: channel list requests should be answered with channel list responses", t => {
+  const { responder } = setup()
+  const reqid = crypto.generateReqID()
+  responder.respond(cable.CHANNEL_LIST_REQUEST.create(reqid, 1, 1, 1)).then(responses => {
+    const objs = responses.map(buf => cable.CHANNEL_LIST_RESPONSE.toJSON(buf))
+    t.same(objs.map(obj => obj.channels), [["dev"], []], "offset and limit should be respected")
+    t.true(objs.every(obj => b4a.equals(obj.reqid, reqid)), "responses should have the reqid of the request")
+    t.end()
+  })
+})
+
+test("responder: results should be split across responses of maxMessageSize", t => {
+  const { posts, responder } = setup({ maxMessageSize: 100 })
+  responder.respond(cable.TIME_RANGE_REQUEST.create(crypto.generateReqID(), 1, "default", 0, 10, 0)).then(responses => {
+    t.true(responses.every(buf => buf.length <= 100), "responses should fit within maxMessageSize")
+    const sent = [].concat(...responses.map(buf => cable.HASH_RESPONSE.toJSON(buf).hashes))
+    t.same(sent, hashes(posts), "all hashes should be sent")
+    t.true(responses.length > 2, "hashes should be split across responses")
+    t.end()
+  })
+})
+
+test("responder: stores may be asynchronous and return more than the limit", t => {
+  const channels = ["a", "b", "c"]
+  const posts = [1, 2, 3, 4, 5].map(timestamp => text(alice, "default", timestamp, `post ${timestamp}`))
+  const store = {
+    getPosts: () => Promise.resolve([]),
+    timeRange: () => Promise.resolve([]),
+    channelState: () => Promise.resolve([]),
+    channelList: () => Promise.resolve(channels)
+  }
+  const responder = new Responder(store)
+  responder.respond(cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 0, 2)).then(responses => {
+    t.same(cable.CHANNEL_LIST_RESPONSE.toJSON(responses[0]).channels, ["a", "b"], "limit should cap the results of the store")
+    // a store that ignores the limit of time range requests
+    store.timeRange = () => Promise.resolve(hashes(posts))
+    return responder.respond(cable.TIME_RANGE_REQUEST.create(crypto.generateReqID(), 1, "default", 0, 10, 2))
+  }).then(responses => {
+    t.same(cable.HASH_RESPONSE.toJSON(responses[0]).hashes, hashes(posts.slice(3)), "limit should keep the latest hashes of a time range")
+    t.end()
+  })
+})
+
+test("responder: requests should be decoded as hardened unless opted out", t => {
+  const req = cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 0, 0)
+  // a trailing byte, with msgLen (a single byte) counting it
+  const padded = b4a.concat([req, b4a.from([0])])
+  padded[0] += 1
+  const many = cable.POST_REQUEST.create(crypto.generateReqID(), 1, [b4a.alloc(32, 1), b4a.alloc(32, 2)])
+  setup().responder.respond(padded).then(() => t.fail("trailing bytes should be rejected"), err => {
+    t.equal(err.code, "ERR_TRAILING_BYTES", "requests should be hardened by default")
+    return setup({ hardened: false }).responder.respond(padded)
+  }).then(responses => {
+    t.same(cable.CHANNEL_LIST_RESPONSE.toJSON(responses[0]).channels, ["default", "dev", "introduction"], "hardened: false should opt out")
+    return setup({ limits: { maxHashes: 1 } }).responder.respond(many)
+  }).then(() => t.fail("limits should be respected"), err => {
+    t.equal(err.code, "ERR_LIMIT_EXCEEDED", "limits should override the defaults")
+    t.end()
+  })
+})
+
+test("responder: invalid input should be rejected", t => {
+  const { responder } = setup()
+  t.throws(() => new Responder({}), /expected store/, "store should have the store methods")
+  t.throws(() => new Responder(new MemoryStore(), { maxMessageSize: 0 }), /expected maxMessageSize/, "maxMessageSize should be positive")
+  t.throws(() => responder.isLive(b4a.alloc(2)), /expected reqid/, "reqid should be a reqid")
+  const response = cable.HASH_RESPONSE.create(crypto.generateReqID(), [])
+  responder.respond(response).then(() => t.fail("responses should be rejected"), err => {
+    t.equal(err.code, "ERR_INVALID_ARG", "responses should be rejected")
+    return responder.respond(b4a.from([1, 2]))
+  }).then(() => t.fail("malformed cablegrams should be rejected"), err => {
+    t.ok(err.code, "malformed cablegrams should be rejected with a cable error")
+    const failing = new Responder({ getPosts: () => { throw new Error("boom") }, timeRange () {}, channelState () {}, channelList () {} })
+    return failing.respond(cable.POST_REQUEST.create(crypto.generateReqID(), 1, []))
+  }).then(() => t.fail("store errors should be rejected"), err => {
+    t.equal(err.message, "boom", "store errors should reject the response")
+    t.end()
+  })
+})
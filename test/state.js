@@ -0,0 +1,126 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { ChannelState } = require("../state")
+const { Deletions } = require("../deletions")
+const { topic, join, leave, setInfo, del, shuffle } = require("./helpers")
+
+const alice = crypto.generateKeypair()
+const bob = crypto.generateKeypair()
+
+function summarize (state) {
+  return {
+    channels: state.channels(),
+    topics: state.channels().map(channel => state.topic(channel)),
+    members: state.channels().map(channel => state.members(channel).map(key => b4a.toString(key, "hex"))),
+    names: [alice, bob].map(kp => state.name(kp.publicKey)),
+    deleted: state.deleted().map(hash => b4a.toString(hash, "hex"))
+  }
+}
+
+test("state: the latest post/topic should set the topic", t => {
+  const state = new ChannelState()
+  t.equal(state.topic("dev"), null, "channel without a post/topic should have no topic")
+  const first = topic(alice, "dev", 1, "first")
+  const second = topic(bob, "dev", 2, "second")
+  state.add(second)
+  state.add(first)
+  state.add(topic(alice, "default", 5, "other channel"))
+  t.equal(state.topic("dev"), "second", "latest topic should win")
+  state.add(del(bob, 3, [second]))
+  t.equal(state.topic("dev"), "first", "deleting the latest topic should restore the one before it")
+  t.end()
+})
+
+test("state: members should be those whose latest post/join or post/leave is a join", t => {
+  const state = new ChannelState()
+  ;[join(alice, "dev", 1), join(bob, "dev", 2), leave(bob, "dev", 3), join(bob, "default", 1)].forEach(post => state.add(post))
+  t.same(state.members("dev"), [alice.publicKey], "only alice should be in dev")
+  t.true(state.isMember("default", bob.publicKey), "bob should be in default")
+  t.false(state.isMember("dev", bob.publicKey), "bob should have left dev")
+  t.same(state.members("empty"), [], "unknown channel should have no members")
+  t.same(state.channels(), ["default", "dev"], "channels should be listed")
+  t.end()
+})
+
+test("state: profiles and names should come from the latest post/info", t => {
+  const state = new ChannelState()
+  const old = setInfo(alice, 1, [["name", "alice"]])
+  const latest = setInfo(alice, 2, [["name", "ally"], ["accept-role", "1"]])
+  state.add(latest)
+  state.add(old)
+  t.equal(state.name(alice.publicKey), "ally", "latest name should win")
+  t.same(state.profile(alice.publicKey).info, { name: "ally", "accept-role": true }, "profile should be parsed")
+  t.equal(state.name(bob.publicKey), null, "user without a post/info should have no name")
+  t.equal(state.profile(bob.publicKey), null, "user without a post/info should have no profile")
+  state.add(setInfo(bob, 1, [["bio", "no name"]]))
+  t.equal(state.name(bob.publicKey), null, "user without a name key should have no name")
+  state.add(del(alice, 3, [latest]))
+  t.equal(state.name(alice.publicKey), "alice", "deleting the latest post/info should restore the one before it")
+  t.end()
+})
+
+test("state: deletions should apply whenever their targets arrive", t => {
+  const state = new ChannelState()
+  const post = topic(alice, "dev", 1, "deleted")
+  const deletion = del(alice, 2, [post])
+  state.add(deletion)
+  t.false(state.isDeleted(cable.hashPost(post)), "hash should not be deleted before its post arrives")
+  t.same(state.deletions.tombstones(), [cable.hashPost(post)], "hash should have a tombstone before its post arrives")
+  state.add(post)
+  t.true(state.isDeleted(cable.hashPost(post)), "hash should be deleted once its post arrives")
+  t.equal(state.topic("dev"), null, "deleted post should not count")
+  t.same(state.deleted(), [cable.hashPost(post)], "deleted() should list deleted hashes")
+  t.false(state.add(post), "adding a post again should return false")
+  t.throws(() => state.isDeleted(3), /expected/, "isDeleted should take a buffer or a hex string")
+  t.throws(() => state.topic(1), /expected/, "channel should be a string")
+  t.throws(() => state.name(b4a.alloc(3)), /expected/, "publicKey should be a public key")
+  t.end()
+})
+
+test("state: a post/delete should only delete posts by its own author", t => {
+  const state = new ChannelState()
+  const post = topic(alice, "dev", 1, "alice's topic")
+  state.add(del(bob, 2, [post]))
+  state.add(post)
+  t.equal(state.topic("dev"), "alice's topic", "bob should not be able to delete alice's topic")
+  state.add(del(bob, 3, [post]))
+  t.false(state.isDeleted(cable.hashPost(post)), "a later post/delete by bob should not delete it either")
+  t.throws(() => new ChannelState({ deletions: {} }), /expected/, "deletions should be a Deletions")
+  t.end()
+})
+
+test("state: a shared Deletions should see the posts of the state", t => {
+  const deletions = new Deletions()
+  const state = new ChannelState({ deletions })
+  const post = topic(alice, "dev", 1, "deleted")
+  state.add(post)
+  state.add(del(alice, 2, [post]))
+  t.true(deletions.isDeleted(cable.hashPost(post)), "deletions should track the posts added to the state")
+  t.end()
+})
+
+test("state: the state should not depend on the order posts are added in", t => {
+  const topicA = topic(alice, "dev", 1, "a")
+  const topicB = topic(bob, "dev", 1, "b")
+  const infoA = setInfo(alice, 4, [["name", "alice"]])
+  const posts = [
+    topicA, topicB, topic(alice, "default", 2, "default topic"),
+    join(alice, "dev", 1), leave(alice, "dev", 5), join(alice, "dev", 3), join(bob, "default", 2),
+    infoA, setInfo(alice, 3, [["name", "older"]]), setInfo(bob, 4, [["name", "bob"]]),
+    del(alice, 6, [infoA]), del(bob, 6, [topicA])
+  ]
+  const expected = summarize(posts.reduce((state, post) => { state.add(post); return state }, new ChannelState()))
+  t.equal(expected.names[0], "older", "deleted post/info should not count")
+  for (let seed = 1; seed <= 20; seed++) {
+    const state = new ChannelState()
+    shuffle(posts, seed).forEach(post => state.add(cable.parsePost(post)))
+    t.same(summarize(state), expected, `insertion order ${seed} should give the same state`)
+  }
+  t.end()
+})
@@ -0,0 +1,138 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const crypto = require("../cryptography")
+const { MemoryStore } = require("../store")
+const { Deletions } = require("../deletions")
+const { text, join, del, hashes } = require("./helpers")
+
+const alice = crypto.generateKeypair()
+const bob = crypto.generateKeypair()
+
+test("store: posts should be looked up by hash", t => {
+  const store = new MemoryStore()
+  const post = text(alice, "default", 1, "hello")
+  const other = text(bob, "default", 2, "hi")
+  t.true(store.add(post), "adding a post should return true")
+  t.false(store.add(post), "adding a post again should return false")
+  t.true(store.add(new cable.PostRef(other)), "PostRefs should be accepted")
+  t.equal(store.size, 2, "size should count the posts")
+  t.true(store.has(cable.hashPost(post)), "has should find a stored post")
+  t.true(store.has(b4a.toString(cable.hashPost(post), "hex")), "has should take a hex string")
+  t.true(b4a.equals(store.get(cable.hashPost(other)), other), "get should return the post's buffer")
+  t.equal(store.get(b4a.alloc(32)), null, "get should return null for unknown hashes")
+  t.same(store.getPosts([cable.hashPost(other), b4a.alloc(32), cable.hashPost(post)]), [other, post], "getPosts should skip unknown hashes")
+  t.throws(() => store.add(cable.parsePost(post)), /expected/, "decoded posts should be rejected, as their buffers are stored")
+  t.throws(() => store.get(1), /expected/, "hash should be a buffer or a hex string")
+  t.throws(() => store.getPosts("hash"), /expected/, "hashes should be an array")
+  t.end()
+})
+
+test("store: invalid posts should be rejected", t => {
+  const store = new MemoryStore()
+  const post = text(alice, "default", 1, "hello")
+  const forged = b4a.from(post)
+  forged[forged.length - 1] ^= 1
+  t.throws(() => store.add(forged), /verif|signature/i, "posts should be verified")
+  t.true(store.add(forged, { verify: false }), "verification may be skipped")
+  t.end()
+})
+
+test("store: time ranges should be answered as TIME_RANGE_REQUEST asks", t => {
+  const store = new MemoryStore()
+  const posts = [1, 2, 3, 4, 5].map(timestamp => text(alice, "default", timestamp, `post ${timestamp}`))
+  // posts of other channels and types are not part of the time range
+  ;[text(bob, "dev", 3, "other channel"), join(bob, "default", 3)].concat(posts.slice().reverse()).forEach(post => store.add(post))
+  const range = (timeStart, timeEnd, limit) => store.timeRange({ channel: "default", timeStart, timeEnd, limit })
+  t.same(range(0, 0, 0), hashes(posts), "all post/texts should be returned in time order")
+  t.same(range(2, 4, 0), hashes(posts.slice(1, 3)), "timeStart should be inclusive and timeEnd exclusive")
+  t.same(range(2, 0, 0), hashes(posts.slice(1)), "timeEnd 0 should have no end")
+  t.same(range(0, 0, 2), hashes(posts.slice(3)), "limit should keep the latest posts")
+  t.same(range(1, 4, 2), hashes(posts.slice(1, 3)), "limit should apply within the time range")
+  t.same(store.timeRange({ channel: "empty", timeStart: 0, timeEnd: 0, limit: 0 }), [], "unknown channel should have no posts")
+  const req = cable.TIME_RANGE_REQUEST.create(crypto.generateReqID(), 1, "default", 4, 0, 10)
+  t.same(store.timeRange(cable.TIME_RANGE_REQUEST.toJSON(req)), hashes(posts.slice(3)), "a decoded request should be accepted")
+  t.throws(() => range(-1, 0, 0), /expected/, "timeStart should be a non-negative integer")
+  t.throws(() => store.timeRange({ timeStart: 0, timeEnd: 0, limit: 0 }), /expected/, "channel should be a string")
+  t.end()
+})
+
+test("store: post/deletes should be in the time range of the post/texts they delete", t => {
+  const store = new MemoryStore()
+  const deleted = text(alice, "default", 1, "deleted")
+  const late = text(alice, "dev", 2, "deleted after the post/delete")
+  const others = text(bob, "default", 3, "bob's")
+  const deletion = del(alice, 4, [deleted, late, others])
+  ;[deleted, deletion, late, others].forEach(post => store.add(post))
+  const range = channel => store.timeRange({ channel, timeStart: 0, timeEnd: 0, limit: 0 })
+  t.same(range("default"), hashes([deleted, others, deletion]), "post/delete should be indexed in the channel of its target")
+  t.same(range("dev"), hashes([late, deletion]), "post/delete should be indexed when its target arrives after it")
+  t.end()
+})
+
+test("store: channel states should be answered as CHANNEL_STATE_REQUEST asks", t => {
+  const store = new MemoryStore()
+  const topic = (kp, timestamp, s) => cable.TOPIC_POST.create(kp.publicKey, kp.secretKey, [], "dev", timestamp, s)
+  const leave = (kp, timestamp) => cable.LEAVE_POST.create(kp.publicKey, kp.secretKey, [], "dev", timestamp)
+  const setInfo = (kp, timestamp, name) => cable.INFO_POST.create(kp.publicKey, kp.secretKey, [], timestamp, [["name", name]])
+  const posts = {
+    oldTopic: topic(alice, 2, "old"), topic: topic(bob, 3, "new"),
+    aliceJoin: join(alice, "dev", 1), aliceOldInfo: setInfo(alice, 1, "al"), aliceInfo: setInfo(alice, 4, "alice"),
+    bobJoin: join(bob, "dev", 1), bobLeave: leave(bob, 5), bobInfo: setInfo(bob, 1, "bob"),
+    other: join(alice, "default", 5), text: text(alice, "dev", 6, "hi")
+  }
+  Object.values(posts).forEach(post => store.add(post))
+  t.same(store.channelState({ channel: "dev" }), hashes([posts.aliceJoin, posts.topic, posts.aliceInfo, posts.bobLeave]),
+    "latest topic, memberships and infos of members should be returned")
+  t.same(store.channelState({ channel: "empty" }), [], "unknown channel should have no state")
+  store.remove(cable.hashPost(posts.topic))
+  t.same(store.channelState({ channel: "dev" }), hashes([posts.aliceJoin, posts.oldTopic, posts.aliceInfo, posts.bobLeave]),
+    "removing the latest topic should restore the one before it")
+  const req = cable.CHANNEL_STATE_REQUEST.create(crypto.generateReqID(), 1, "dev", 0)
+  t.equal(store.channelState(cable.CHANNEL_STATE_REQUEST.toJSON(req)).length, 4, "a decoded request should be accepted")
+  t.throws(() => store.channelState({}), /expected/, "channel should be a string")
+  t.end()
+})
+
+test("store: channel lists should be answered as CHANNEL_LIST_REQUEST asks", t => {
+  const store = new MemoryStore()
+  ;[join(alice, "dev", 1), text(bob, "default", 2, "hi"), join(bob, "introduction", 3), join(alice, "dev", 4)].forEach(post => store.add(post))
+  t.same(store.channelList({ offset: 0, limit: 0 }), ["default", "dev", "introduction"], "limit 0 should return all channels, sorted")
+  t.same(store.channelList({ offset: 1, limit: 1 }), ["dev"], "offset and limit should apply")
+  t.same(store.channelList({ offset: 5, limit: 0 }), [], "offset past the end should return no channels")
+  const req = cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 1, 0)
+  t.same(store.channelList(cable.CHANNEL_LIST_REQUEST.toJSON(req)), ["dev", "introduction"], "a decoded request should be accepted")
+  t.throws(() => store.channelList({ offset: 0 }), /expected/, "limit should be a non-negative integer")
+  t.end()
+})
+
+test("store: posts should be indexed by author", t => {
+  const store = new MemoryStore()
+  const posts = [text(alice, "default", 3, "c"), join(alice, "dev", 1), text(bob, "default", 2, "b")]
+  posts.forEach(post => store.add(post))
+  t.same(store.byPublicKey(alice.publicKey), hashes([posts[1], posts[0]]), "alice's posts should be sorted by timestamp")
+  t.same(store.byPublicKey(crypto.generateKeypair().publicKey), [], "unknown author should have no posts")
+  t.throws(() => store.byPublicKey(b4a.alloc(3)), /expected/, "publicKey should be a public key")
+  t.end()
+})
+
+test("store: removed posts should be dropped from every index", t => {
+  const store = new MemoryStore()
+  const deletions = new Deletions({ purge: hash => store.remove(hash) })
+  const post = text(alice, "default", 1, "deleted")
+  const kept = text(alice, "default", 2, "kept")
+  const deletion = del(alice, 3, [post])
+  ;[post, kept, deletion].forEach(buf => {
+    store.add(buf)
+    deletions.add(buf)
+  })
+  t.false(store.has(cable.hashPost(post)), "purged post should be removed")
+  t.same(store.timeRange({ channel: "default", timeStart: 0, timeEnd: 0, limit: 0 }), hashes([kept, deletion]), "purged post should not be in time ranges")
+  t.same(store.byPublicKey(alice.publicKey), hashes([kept, deletion]), "purged post should not be in the author index")
+  t.false(store.remove(cable.hashPost(post)), "removing a post again should return false")
+  t.end()
+})
@@ -0,0 +1,160 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const varint = require("varint")
+const cable = require("../index")
+const constants = require("../constants")
+const crypto = require("../cryptography")
+const { Framer, DecodeStream, EncodeStream } = require("../stream")
+
+function generateFakeHashes (amount) {
+  const hashes = []
+  for (let i = 0; i < amount; i++) {
+    hashes.push(crypto.hash(crypto.generateReqID()))
+  }
+  return hashes
+}
+
+function generateCablegrams () {
+  const reqid = crypto.generateReqID()
+  return [
+    cable.HASH_RESPONSE.create(reqid, generateFakeHashes(3)),
+    cable.POST_REQUEST.create(reqid, 3, generateFakeHashes(2)),
+    cable.CHANNEL_LIST_REQUEST.create(reqid, 1, 0, 20),
+    cable.CHANNEL_LIST_RESPONSE.create(reqid, ["default", "dev"]),
+    cable.TIME_RANGE_REQUEST.create(reqid, 2, "default", 0, 100, 20)
+  ]
+}
+
+test("framer: cablegrams split at every possible chunk size are reassembled", t => {
+  const grams = generateCablegrams()
+  const bytes = b4a.concat(grams)
+  for (let size = 1; size <= bytes.length; size++) {
+    const framer = new Framer()
+    const frames = []
+    for (let i = 0; i < bytes.length; i += size) {
+      frames.push(...framer.push(bytes.subarray(i, i + size)))
+    }
+    if (frames.length !== grams.length) {
+      t.fail(`chunk size ${size} produced ${frames.length} cablegrams, expected ${grams.length}`)
+      continue
+    }
+    t.same(frames, grams, `chunk size ${size} should produce identical cablegrams`)
+    t.equal(framer.buffered, 0, `chunk size ${size} should leave no bytes buffered`)
+  }
+  t.end()
+})
+
+test("framer: incomplete cablegrams are held back", t => {
+  const gram = cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 0, 20)
+  const framer = new Framer()
+  t.same(framer.push(gram.subarray(0, gram.length - 1)), [], "no cablegram should be emitted yet")
+  t.equal(framer.buffered, gram.length - 1, "partial bytes should be buffered")
+  t.same(framer.push(gram.subarray(gram.length - 1)), [gram], "completed cablegram should be emitted")
+  t.end()
+})
+
+test("framer: invalid msgLen prefixes are rejected", t => {
+  t.throws(() => {
+    new Framer().push(b4a.from([0]))
+  }, /expected/, "should error on a msgLen of 0")
+  t.throws(() => {
+    new Framer().push(b4a.alloc(constants.MAX_VARINT_SIZE).fill(0xff))
+  }, /expected/, "should error on an overlong msgLen varint")
+  t.end()
+})
+
+test("decode stream: emits raw and parsed cablegrams", t => {
+  const grams = generateCablegrams()
+  const bytes = b4a.concat(grams)
+  const stream = new DecodeStream()
+  const received = []
+  stream.on("data", item => received.push(item))
+  stream.on("end", () => {
+    t.equal(received.length, grams.length, "should emit one item per cablegram")
+    received.forEach((item, i) => {
+      t.same(item.buf, grams[i], "raw cablegram should be same")
+      t.same(item.obj, cable.parseMessage(grams[i]), "parsed cablegram should be same")
+    })
+    t.end()
+  })
+  for (let i = 0; i < bytes.length; i += 7) {
+    stream.write(bytes.subarray(i, i + 7))
+  }
+  stream.end()
+})
+
+test("decode stream: errors when the stream ends mid-cablegram", t => {
+  const gram = cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 0, 20)
+  const stream = new DecodeStream()
+  stream.on("data", () => t.fail("should not emit a cablegram"))
+  stream.on("error", err => {
+    t.ok(err, "should error")
+    t.end()
+  })
+  stream.end(gram.subarray(0, 5))
+})
+
+test("encode stream piped into decode stream", t => {
+  const grams = generateCablegrams()
+  const encoder = new EncodeStream()
+  const decoder = new DecodeStream({ parse: false })
+  const received = []
+  decoder.on("data", item => received.push(item.buf))
+  decoder.on("end", () => {
+    t.same(received, grams, "cablegrams should pass through unchanged")
+    t.end()
+  })
+  encoder.pipe(decoder)
+  grams.forEach(gram => encoder.write(gram))
+  encoder.end()
+})
+
+test("encode stream: rejects buffers that are not a single cablegram", t => {
+  const grams = generateCablegrams()
+  const encoder = new EncodeStream()
+  encoder.on("error", err => {
+    t.ok(/expected/.test(err.message), "should error")
+    t.end()
+  })
+  encoder.write(b4a.concat([grams[0], grams[1]]))
+})
+
+test("decode stream: hardened decoding rejects cablegrams above maxMessageBytes", t => {
+  const gram = cable.HASH_RESPONSE.create(crypto.generateReqID(), generateFakeHashes(3))
+  const stream = new DecodeStream({ limits: { maxMessageBytes: 50 } })
+  stream.on("data", () => t.fail("should not emit a cablegram"))
+  stream.on("error", err => {
+    t.equal(err.code, "ERR_LIMIT_EXCEEDED", "should error as soon as msgLen is received")
+    t.end()
+  })
+  // only the msgLen prefix and part of the cablegram are written
+  stream.write(gram.subarray(0, 3))
+})
+
+test("framer: maxMessageBytes", t => {
+  const gram = cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 0, 20)
+  t.same(new Framer({ maxMessageBytes: gram.length }).push(gram), [gram], "cablegram at the limit should be emitted")
+  t.throws(() => new Framer({ maxMessageBytes: gram.length - 1 }).push(gram), /expected/, "cablegram above the limit should error")
+  t.throws(() => new Framer({ maxMessageBytes: 0 }), /expected maxMessageBytes/, "maxMessageBytes should be a positive integer")
+  t.end()
+})
+
+test("framer: cablegrams are capped by default", t => {
+  const prefix = b4a.from(varint.encode(2 ** 40))
+  t.throws(() => new Framer().push(prefix), err => err.code === "ERR_LIMIT_EXCEEDED", "huge msgLen should be rejected by default")
+  const gram = cable.CHANNEL_LIST_REQUEST.create(crypto.generateReqID(), 1, 0, 20)
+  const max = constants.DECODE_MAX_MESSAGE_BYTES
+  t.throws(() => new Framer().push(b4a.from(varint.encode(max))), /expected cablegram to be at most/, "msgLen above the default cap should be rejected")
+  t.same(new Framer().push(gram), [gram], "cablegrams below the cap should be emitted")
+  t.same(new Framer({ maxMessageBytes: Infinity }).push(prefix), [], "Infinity should accept cablegrams of any size")
+  const stream = new DecodeStream({ parse: false })
+  stream.on("error", err => {
+    t.equal(err.code, "ERR_LIMIT_EXCEEDED", "decode stream should be capped by default too")
+    t.end()
+  })
+  stream.write(prefix)
+})
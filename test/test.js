@@ -7,6 +7,7 @@ const cable = require("../index")
 const constants = require("../constants")
 const crypto = require("../cryptography")
 const b4a = require("b4a")
+const varint = require("varint")
 
 const CANCEL_REQUEST = cable.CANCEL_REQUEST
 const POST_REQUEST = cable.POST_REQUEST
@@ -327,8 +328,8 @@ test("hash of post/text should work as expected", t => {
 
   const buf = TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, channel, timestamp, text)
   t.true(b4a.isBuffer(buf), "serialized cablegram should be a buffer")
-  const hash = crypto.hash(buf)
-  t.true(b4a.isBuffer(buf), "hashed cablegram should be a buffer")
+  const hash = cable.hashPost(buf)
+  t.true(b4a.isBuffer(hash), "hashed cablegram should be a buffer")
   t.equal(hash.length, constants.HASH_SIZE, "hashed post should have correct size")
   t.end()
 })
@@ -357,10 +358,9 @@ test("2: post/info", t => {
   const keypair = crypto.generateKeypair()
   const links = generateFakeHashes(1)
   const timestamp = 999
-  const key = "nick"
-  const value = "cable-tester"
+  const info = [["name", "cable-tester"], ["bio", "testing cable.js"], ["status", ""]]
 
-  const buf = INFO_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, key, value)
+  const buf = INFO_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, info)
   t.equal(cable.peekPost(buf), constants.INFO_POST, "post type should be post/info")
   const messageSignatureCorrect = crypto.verify(buf, keypair.publicKey)
   t.true(messageSignatureCorrect, "embedded cryptographic signature should be valid")
@@ -368,8 +368,7 @@ test("2: post/info", t => {
   t.equal(obj.postType, constants.INFO_POST, "deserialized post type should be post/info")
   t.same(obj.timestamp, timestamp, "timestamp should be same")
   t.same(obj.links, links, "links should be same")
-  t.same(obj.key, key, "key should be same")
-  t.same(obj.value, value, "value should be same")
+  t.same(obj.info, info, "info should be same")
   t.same(obj.publicKey, keypair.publicKey, "public key should be same")
   t.end()
 })
@@ -462,3 +461,877 @@ test("cablegrams with same input should be identical", t => {
   })
   t.end()
 })
+
+test("messages at spec maximums should be encoded with their exact size", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const reqid = crypto.generateReqID()
+  const cancelid = crypto.generateReqID()
+  const maxChannel = "c".repeat(constants.CHANNEL_NAME_MAX_CODEPOINTS)
+  const maxText = "t".repeat(constants.POST_TEXT_MAX_BYTES)
+  const maxTime = Number.MAX_SAFE_INTEGER
+  const hashes = generateFakeHashes(128)
+  const posts = []
+  for (let i = 0; i < 40; i++) {
+    posts.push(TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, maxChannel, i, maxText))
+  }
+  const channels = []
+  for (let i = 0; i < 100; i++) {
+    channels.push(`${i}`.padEnd(constants.CHANNEL_NAME_MAX_CODEPOINTS, "c"))
+  }
+
+  const grams = [
+    ["hash response", HASH_RESPONSE, HASH_RESPONSE.create(reqid, hashes), { hashes }],
+    ["post response", POST_RESPONSE, POST_RESPONSE.create(reqid, posts), { posts }],
+    ["channel list response", CHANNEL_LIST_RESPONSE, CHANNEL_LIST_RESPONSE.create(reqid, channels), { channels }],
+    ["post request", POST_REQUEST, POST_REQUEST.create(reqid, 16, hashes), { ttl: 16, hashes }],
+    ["cancel request", CANCEL_REQUEST, CANCEL_REQUEST.create(reqid, 16, cancelid), { ttl: 16, cancelid }],
+    ["channel time range request", TIME_RANGE_REQUEST, TIME_RANGE_REQUEST.create(reqid, 16, maxChannel, maxTime, maxTime, maxTime), { ttl: 16, channel: maxChannel, timeStart: maxTime, timeEnd: maxTime, limit: maxTime }],
+    ["channel state request", CHANNEL_STATE_REQUEST, CHANNEL_STATE_REQUEST.create(reqid, 16, maxChannel, maxTime), { ttl: 16, channel: maxChannel, future: maxTime }],
+    ["channel list request", CHANNEL_LIST_REQUEST, CHANNEL_LIST_REQUEST.create(reqid, 16, maxTime, maxTime), { ttl: 16, offset: maxTime, limit: maxTime }]
+  ]
+
+  grams.forEach(([name, type, buf, expected]) => {
+    const obj = type.toJSON(buf)
+    t.equal(obj.msgLen + varint.encodingLength(obj.msgLen), buf.length, `${name} should have no bytes beyond msgLen`)
+    t.same(obj.reqid, reqid, `${name} reqid should be same`)
+    Object.entries(expected).forEach(([key, value]) => {
+      t.same(obj[key], value, `${name} ${key} should be same`)
+    })
+  })
+  t.end()
+})
+
+test("posts at spec maximums should be encoded with their exact size", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(64)
+  const hashes = generateFakeHashes(64)
+  const maxChannel = "c".repeat(constants.CHANNEL_NAME_MAX_CODEPOINTS)
+  const maxText = "t".repeat(constants.POST_TEXT_MAX_BYTES)
+  const maxTopic = "t".repeat(constants.TOPIC_MAX_CODEPOINTS)
+  const maxKey = "k".repeat(constants.INFO_KEY_MAX_CODEPOINTS)
+  const maxValue = "v".repeat(constants.INFO_VALUE_MAX_BYTES)
+  const maxName = "n".repeat(constants.USER_NAME_MAX_CODEPOINTS)
+  const timestamp = Number.MAX_SAFE_INTEGER
+
+  const posts = [
+    ["post/text", TEXT_POST, TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, maxChannel, timestamp, maxText), { channel: maxChannel, text: maxText }],
+    ["post/delete", DELETE_POST, DELETE_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, hashes), { hashes }],
+    ["post/info", INFO_POST, INFO_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, [[maxKey, maxValue]]), { info: [[maxKey, maxValue]] }],
+    ["post/info name", INFO_POST, INFO_POST.create(keypair.publicKey, keypair.secretKey, links, timestamp, [["name", maxName]]), { info: [["name", maxName]] }],
+    ["post/topic", TOPIC_POST, TOPIC_POST.create(keypair.publicKey, keypair.secretKey, links, maxChannel, timestamp, maxTopic), { channel: maxChannel, topic: maxTopic }],
+    ["post/join", JOIN_POST, JOIN_POST.create(keypair.publicKey, keypair.secretKey, links, maxChannel, timestamp), { channel: maxChannel }],
+    ["post/leave", LEAVE_POST, LEAVE_POST.create(keypair.publicKey, keypair.secretKey, links, maxChannel, timestamp), { channel: maxChannel }]
+  ]
+
+  posts.forEach(([name, type, buf, expected]) => {
+    t.true(crypto.verify(buf, keypair.publicKey), `${name} signature should cover the entire buffer`)
+    const obj = type.toJSON(buf)
+    t.same(obj.links, links, `${name} links should be same`)
+    t.equal(obj.timestamp, timestamp, `${name} timestamp should be same`)
+    Object.entries(expected).forEach(([key, value]) => {
+      t.same(obj[key], value, `${name} ${key} should be same`)
+    })
+  })
+  t.end()
+})
+
+test("posts exceeding spec maximums should error", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  t.throws(() => {
+    TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 0, "t".repeat(constants.POST_TEXT_MAX_BYTES + 1))
+  }, errorPattern, "should error when text is too large")
+  t.throws(() => {
+    INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["bio", "v".repeat(constants.INFO_VALUE_MAX_BYTES + 1)]])
+  }, errorPattern, "should error when info value is too large")
+  t.end()
+})
+
+test("split responses: hashes", t => {
+  const reqid = crypto.generateReqID()
+  const hashes = generateFakeHashes(100)
+  const maxMessageSize = 512
+  const responses = cable.createResponses(constants.HASH_RESPONSE, reqid, hashes, maxMessageSize)
+  t.true(responses.length > 1, "hashes should be split across several responses")
+  let received = []
+  responses.forEach(buf => {
+    t.true(buf.length <= maxMessageSize, "response should not exceed maxMessageSize")
+    const obj = HASH_RESPONSE.toJSON(buf)
+    t.same(obj.reqid, reqid, "reqid should be same")
+    t.true(obj.hashes.length > 0, "response should not be empty")
+    received = received.concat(obj.hashes)
+  })
+  t.same(received, hashes, "all hashes should be received in order")
+  t.end()
+})
+
+test("split responses: posts with concluding response", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const reqid = crypto.generateReqID()
+  const posts = []
+  for (let i = 0; i < 30; i++) {
+    posts.push(TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, "default", i, "x".repeat(i * 10)))
+  }
+  const maxMessageSize = 1024
+  const responses = cable.createResponses(constants.POST_RESPONSE, reqid, posts, maxMessageSize, { conclude: true })
+  t.true(responses.length > 2, "posts should be split across several responses")
+  let received = []
+  responses.forEach(buf => {
+    t.true(buf.length <= maxMessageSize, "response should not exceed maxMessageSize")
+    const obj = POST_RESPONSE.toJSON(buf)
+    t.same(obj.reqid, reqid, "reqid should be same")
+    received = received.concat(obj.posts)
+  })
+  t.same(received, posts, "all posts should be received in order")
+  t.equal(POST_RESPONSE.toJSON(responses[responses.length - 1]).posts.length, 0, "final response should be empty")
+  t.end()
+})
+
+test("split responses: channels", t => {
+  const reqid = crypto.generateReqID()
+  const channels = []
+  for (let i = 0; i < 50; i++) {
+    channels.push(`channel-${i}`)
+  }
+  const maxMessageSize = 100
+  const responses = cable.createResponses(constants.CHANNEL_LIST_RESPONSE, reqid, channels, maxMessageSize)
+  let received = []
+  responses.forEach(buf => {
+    t.true(buf.length <= maxMessageSize, "response should not exceed maxMessageSize")
+    received = received.concat(CHANNEL_LIST_RESPONSE.toJSON(buf).channels)
+  })
+  t.same(received, channels, "all channels should be received in order")
+  t.end()
+})
+
+test("split responses: channels are measured in NFC", t => {
+  const reqid = crypto.generateReqID()
+  // U+0958 is excluded from composition: NFC decomposes it into two codepoints, from 3 to 6 bytes of utf-8
+  const channel = "\u0958".repeat(10)
+  const channels = [channel, channel, channel]
+  const maxMessageSize = 80
+  const responses = cable.createResponses(constants.CHANNEL_LIST_RESPONSE, reqid, channels, maxMessageSize)
+  let received = []
+  responses.forEach(buf => {
+    t.true(buf.length <= maxMessageSize, "response should not exceed maxMessageSize")
+    received = received.concat(CHANNEL_LIST_RESPONSE.toJSON(buf).channels)
+  })
+  t.same(received, channels.map(c => c.normalize("NFC")), "all channels should be received in NFC")
+  t.end()
+})
+
+test("split responses: no items", t => {
+  const reqid = crypto.generateReqID()
+  t.same(cable.createResponses(constants.HASH_RESPONSE, reqid, [], 512), [], "should produce no responses")
+  const responses = cable.createResponses(constants.HASH_RESPONSE, reqid, [], 512, { conclude: true })
+  t.equal(responses.length, 1, "should only produce the concluding response")
+  t.same(HASH_RESPONSE.toJSON(responses[0]).hashes, [], "concluding response should be empty")
+  t.end()
+})
+
+test("split responses - wrong parameters", t => {
+  const reqid = crypto.generateReqID()
+  const hashes = generateFakeHashes(3)
+  t.throws(() => {
+    cable.createResponses(constants.POST_REQUEST, reqid, hashes, 512)
+  }, errorPattern, "should error when msgType is not a list response")
+  t.throws(() => {
+    cable.createResponses(constants.HASH_RESPONSE, reqid, ["hash"], 512)
+  }, errorPattern, "should error when items are of the wrong type")
+  t.throws(() => {
+    cable.createResponses(constants.HASH_RESPONSE, reqid, hashes, 40)
+  }, errorPattern, "should error when a single item does not fit")
+  t.throws(() => {
+    cable.createResponses(constants.HASH_RESPONSE, reqid, hashes, 5)
+  }, errorPattern, "should error when not even an empty response fits")
+  t.throws(() => {
+    cable.createResponses(constants.HASH_RESPONSE, reqid, hashes)
+  }, errorPattern, "should error when missing argument")
+  t.end()
+})
+
+test("decoding a message or post as the wrong type should throw", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const reqid = crypto.generateReqID()
+  const messageTypes = [HASH_RESPONSE, POST_RESPONSE, CHANNEL_LIST_RESPONSE, POST_REQUEST, CANCEL_REQUEST, TIME_RANGE_REQUEST, CHANNEL_STATE_REQUEST, CHANNEL_LIST_REQUEST]
+  const postTypes = [TEXT_POST, DELETE_POST, INFO_POST, TOPIC_POST, JOIN_POST, LEAVE_POST]
+  const message = CHANNEL_LIST_REQUEST.create(reqid, 1, 0, 20)
+  const post = JOIN_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 0)
+
+  messageTypes.filter(type => type !== CHANNEL_LIST_REQUEST).forEach(type => {
+    t.throws(() => {
+      type.toJSON(message)
+    }, /not of expected type/, `${type.name} should throw when decoding a channel list request`)
+  })
+  postTypes.filter(type => type !== JOIN_POST).forEach(type => {
+    t.throws(() => {
+      type.toJSON(post)
+    }, /not of expected type/, `${type.name} should throw when decoding a post/join`)
+  })
+  t.end()
+})
+
+test("post/info name should be validated as a username when encoding and decoding", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const longName = "n".repeat(constants.USER_NAME_MAX_CODEPOINTS + 1)
+  t.throws(() => {
+    INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["name", longName]])
+  }, errorPattern, "should error when name is too long")
+  // a value that is valid for other keys is still not a valid name
+  const buf = INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["bio", longName]])
+  t.same(INFO_POST.toJSON(buf).info, [["bio", longName]], "long value should be allowed for other keys")
+  t.end()
+})
+
+test("encodeMessage should be the inverse of parseMessage", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const reqid = crypto.generateReqID()
+  const posts = [LEAVE_POST.create(keypair.publicKey, keypair.secretKey, links, "introduction", 124)]
+  const grams = [
+    ["hash response", HASH_RESPONSE.create(reqid, generateFakeHashes(3))],
+    ["post response", POST_RESPONSE.create(reqid, posts)],
+    ["channel list response", CHANNEL_LIST_RESPONSE.create(reqid, ["a", "b", "cc"])],
+    ["post request", POST_REQUEST.create(reqid, 3, generateFakeHashes(2))],
+    ["cancel request", CANCEL_REQUEST.create(reqid, 0, crypto.generateReqID())],
+    ["channel time range request", TIME_RANGE_REQUEST.create(reqid, 3, "default", 0, 100, 20)],
+    ["channel state request", CHANNEL_STATE_REQUEST.create(reqid, 3, "default", 1)],
+    ["channel list request", CHANNEL_LIST_REQUEST.create(reqid, 3, 10, 20)]
+  ]
+  grams.forEach(([name, buf]) => {
+    t.deepEqual(cable.encodeMessage(cable.parseMessage(buf)), buf, `${name} should round-trip to identical bytes`)
+  })
+  t.end()
+})
+
+test("encodePost should be the inverse of parsePost", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(2)
+  const posts = [
+    ["post/text", TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 1, "h€llo")],
+    ["post/delete", DELETE_POST.create(keypair.publicKey, keypair.secretKey, links, 2, generateFakeHashes(2))],
+    ["post/info", INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 3, [["name", "cabler"]])],
+    ["post/topic", TOPIC_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 4, "a topic")],
+    ["post/join", JOIN_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 5)],
+    ["post/leave", LEAVE_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 6)]
+  ]
+  posts.forEach(([name, buf]) => {
+    const obj = cable.parsePost(buf)
+    t.deepEqual(cable.encodePost(obj, keypair.secretKey), buf, `${name} should round-trip to identical bytes when re-signed`)
+    t.deepEqual(cable.encodePost(obj), buf, `${name} should round-trip to identical bytes using its signature`)
+  })
+  t.end()
+})
+
+test("encodePost and encodeMessage - wrong parameters", t => {
+  const keypair = crypto.generateKeypair()
+  const other = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const obj = cable.parsePost(JOIN_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 5))
+  t.throws(() => {
+    cable.encodePost(Object.assign({}, obj, { channel: "changed" }))
+  }, /signature/, "should error when the signature does not match the changed post")
+  t.throws(() => {
+    cable.encodePost(obj, other.secretKey)
+  }, /signature/, "should error when signing with a secret key not belonging to the public key")
+  t.throws(() => {
+    cable.encodePost(Object.assign({}, obj, { signature: undefined }))
+  }, errorPattern, "should error when neither secret key nor signature is present")
+  t.throws(() => {
+    cable.encodePost(Object.assign({}, obj, { postType: 99 }), keypair.secretKey)
+  }, /unknown post type/, "should error on unknown post type")
+  t.throws(() => {
+    cable.encodeMessage({ msgType: constants.HASH_RESPONSE, reqid: crypto.generateReqID() })
+  }, errorPattern, "should error when fields are missing")
+  t.throws(() => {
+    HASH_RESPONSE.encode({ msgType: constants.POST_RESPONSE, reqid: crypto.generateReqID(), hashes: [] })
+  }, errorPattern, "should error when encoding with the wrong type")
+  t.end()
+})
+
+test("portable json should survive JSON.stringify and restore identical objects", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(2)
+  const reqid = crypto.generateReqID()
+  const posts = [
+    TEXT_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 1, "h€llo"),
+    DELETE_POST.create(keypair.publicKey, keypair.secretKey, links, 2, generateFakeHashes(2)),
+    INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 3, [["name", "cabler"]]),
+    TOPIC_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 4, "a topic"),
+    JOIN_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 5),
+    LEAVE_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 6)
+  ]
+  const messages = [
+    HASH_RESPONSE.create(reqid, generateFakeHashes(3)),
+    POST_RESPONSE.create(reqid, posts),
+    CHANNEL_LIST_RESPONSE.create(reqid, ["a", "b", "cc"]),
+    POST_REQUEST.create(reqid, 3, generateFakeHashes(2)),
+    CANCEL_REQUEST.create(reqid, 0, crypto.generateReqID()),
+    TIME_RANGE_REQUEST.create(reqid, 3, "default", 0, 100, 20),
+    CHANNEL_STATE_REQUEST.create(reqid, 3, "default", 1),
+    CHANNEL_LIST_REQUEST.create(reqid, 3, 10, 20)
+  ]
+
+  ;["hex", "base64"].forEach(encoding => {
+    messages.forEach(buf => {
+      const obj = cable.parseMessage(buf)
+      const json = JSON.parse(JSON.stringify(cable.toPortableJSON(obj, { encoding })))
+      t.same(cable.fromPortableJSON(json, { encoding }), obj, `msg type ${obj.msgType} should be restored from ${encoding}`)
+    })
+    posts.forEach(buf => {
+      const obj = cable.parsePost(buf)
+      const json = JSON.parse(JSON.stringify(cable.toPortableJSON(obj, { encoding })))
+      t.same(cable.fromPortableJSON(json, { encoding }), obj, `post type ${obj.postType} should be restored from ${encoding}`)
+    })
+  })
+  t.end()
+})
+
+test("portable json fields", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const reqid = crypto.generateReqID()
+  const post = JOIN_POST.create(keypair.publicKey, keypair.secretKey, links, "default", 5)
+  const json = cable.toPortableJSON(cable.parseMessage(POST_RESPONSE.create(reqid, [post])))
+  t.equal(json.reqid, b4a.toString(reqid, "hex"), "reqid should be hex encoded")
+  t.equal(json.posts.length, 1, "post response should contain one post")
+  t.equal(json.posts[0].publicKey, b4a.toString(keypair.publicKey, "hex"), "nested post should be decoded")
+  t.equal(json.posts[0].channel, "default", "nested post fields should be kept as-is")
+  t.same(json.posts[0].links, links.map(link => b4a.toString(link, "hex")), "nested post links should be hex encoded")
+  t.end()
+})
+
+test("portable json - wrong parameters", t => {
+  const reqid = crypto.generateReqID()
+  const json = cable.toPortableJSON(cable.parseMessage(HASH_RESPONSE.create(reqid, generateFakeHashes(1))))
+  t.throws(() => {
+    cable.toPortableJSON(cable.parseMessage(HASH_RESPONSE.create(reqid, [])), { encoding: "utf8" })
+  }, errorPattern, "should error on unsupported encoding")
+  t.throws(() => {
+    cable.fromPortableJSON(Object.assign({}, json, { reqid: "not hex" }))
+  }, errorPattern, "should error on invalid hex")
+  t.throws(() => {
+    cable.fromPortableJSON(Object.assign({}, json, { hashes: "not a list" }))
+  }, errorPattern, "should error when a list is not an array")
+  t.end()
+})
+
+// returns the error thrown by fn
+function catchError (fn) {
+  try {
+    fn()
+  } catch (err) {
+    return err
+  }
+  return null
+}
+
+test("errors should be typed, with stable codes", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const cases = [
+    [() => HASH_RESPONSE.create(reqid), cable.ArgumentCountError, "ERR_ARG_COUNT", null],
+    [() => HASH_RESPONSE.create("reqid", []), cable.InvalidArgumentError, "ERR_INVALID_ARG", "reqid"],
+    [() => POST_REQUEST.create(reqid, 17, []), cable.FieldRangeError, "ERR_FIELD_RANGE", "ttl"],
+    [() => JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "c".repeat(65), 0), cable.FieldRangeError, "ERR_FIELD_RANGE", "channel"],
+    [() => JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "a", -1), cable.FieldRangeError, "ERR_FIELD_RANGE", "timestamp"],
+    [() => JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "a", 2 ** 64), cable.FieldRangeError, "ERR_FIELD_RANGE", "timestamp"],
+    [() => JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "a", 1.5), cable.InvalidArgumentError, "ERR_INVALID_ARG", "timestamp"],
+    [() => CHANNEL_LIST_REQUEST.create(reqid, 1, -5, 1), cable.FieldRangeError, "ERR_FIELD_RANGE", "offset"],
+    [() => cable.encodeMessage({ msgType: 99, reqid }), cable.UnknownTypeError, "ERR_UNKNOWN_TYPE", "msgType"],
+    [() => cable.encodeMessage({ msgType: constants.HASH_RESPONSE, reqid }), cable.InvalidArgumentError, "ERR_INVALID_ARG", "hashes"]
+  ]
+  cases.forEach(([fn, ErrorType, code, field]) => {
+    const err = catchError(fn)
+    t.ok(err instanceof cable.CableError, `${code} should be a CableError`)
+    t.ok(err instanceof ErrorType, `${code} should be a ${ErrorType.name}`)
+    t.equal(err.code, code, `code should be ${code}`)
+    t.equal(err.field, field, `field should be ${field}`)
+    t.equal(err.offset, null, "offset should be null when not decoding")
+  })
+  t.end()
+})
+
+test("channel name errors should report channel name limits", t => {
+  const keypair = crypto.generateKeypair()
+  const err = catchError(() => JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "", 0))
+  const limits = `between ${constants.CHANNEL_NAME_MIN_CODEPOINTS} and ${constants.CHANNEL_NAME_MAX_CODEPOINTS} codepoints`
+  t.ok(err.message.includes(limits), "message should contain the channel name limits")
+  t.end()
+})
+
+test("decoding errors should carry the offending field and byte offset", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+
+  // msgLen (1) + msgType (1) + circuitid (4) + reqid (4)
+  const ttlOffset = 1 + 1 + constants.CIRCUITID_SIZE + constants.REQID_SIZE
+  const request = b4a.from(POST_REQUEST.create(reqid, 16, generateFakeHashes(1)))
+  request[ttlOffset] = 17
+  let err = catchError(() => POST_REQUEST.toJSON(request))
+  t.equal(err.code, "ERR_FIELD_RANGE", "out of range ttl should be a range error")
+  t.equal(err.field, "ttl", "field should be ttl")
+  t.equal(err.offset, ttlOffset, "offset should be that of ttl")
+
+  // a peer's varint above Number.MAX_SAFE_INTEGER (2^56 - 1, built by hand as varint refuses to encode it): msgType (1)
+  // + circuitid (4) + reqid (4) + ttl (1), then offset
+  const huge = b4a.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x7f])
+  const body = CHANNEL_LIST_REQUEST.create(reqid, 1, 0, 1).subarray(1)
+  const offsetAt = 1 + constants.CIRCUITID_SIZE + constants.REQID_SIZE + 1
+  const unsafe = b4a.concat([body.subarray(0, offsetAt), huge, body.subarray(offsetAt + 1)])
+  err = catchError(() => CHANNEL_LIST_REQUEST.toJSON(b4a.concat([b4a.from(varint.encode(unsafe.length)), unsafe])))
+  t.ok(err instanceof cable.FieldRangeError, "unsafe varint should be a range error")
+  t.equal(err.code, "ERR_FIELD_RANGE", "code should be ERR_FIELD_RANGE")
+  t.equal(err.field, "offset", "field should be offset")
+  t.equal(err.offset, 1 + offsetAt, "offset should be that of the offset field")
+  t.ok(/non-negative safe integer/.test(err.message), "message should name the safe integer range")
+
+  const response = HASH_RESPONSE.create(reqid, generateFakeHashes(2))
+  err = catchError(() => HASH_RESPONSE.toJSON(response.subarray(0, response.length - 1)))
+  t.ok(err instanceof cable.TruncatedError, "cut off message should be truncated")
+  t.equal(err.code, "ERR_TRUNCATED", "code should be ERR_TRUNCATED")
+  t.equal(err.field, "msgLen", "field should be msgLen")
+
+  const post = JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0)
+  err = catchError(() => cable.parsePost(post.subarray(0, 40)))
+  t.equal(err.code, "ERR_TRUNCATED", "cut off post should be truncated")
+
+  const tampered = b4a.from(post)
+  tampered[tampered.length - 1] ^= 1
+  err = catchError(() => cable.parsePost(tampered))
+  t.ok(err instanceof cable.SignatureError, "tampered post should have a bad signature")
+  t.equal(err.code, "ERR_BAD_SIGNATURE", "code should be ERR_BAD_SIGNATURE")
+  t.equal(err.field, "signature", "field should be signature")
+  t.equal(err.offset, constants.PUBLICKEY_SIZE, "offset should be that of the signature")
+
+  err = catchError(() => TEXT_POST.toJSON(post))
+  t.ok(err instanceof cable.WrongTypeError, "decoding as the wrong post type should be a wrong type error")
+  t.equal(err.code, "ERR_WRONG_TYPE", "code should be ERR_WRONG_TYPE")
+  t.equal(err.field, "postType", "field should be postType")
+  // publicKey + signature + numLinks (1)
+  t.equal(err.offset, constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE + 1, "offset should be that of postType")
+  t.end()
+})
+
+test("posts can be decoded without verifying their signature", t => {
+  const keypair = crypto.generateKeypair()
+  const post = TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 1, "hi")
+  t.ok(cable.verifyPost(post), "post should verify")
+  t.same(cable.parsePost(post, { verify: false }), cable.parsePost(post), "decoded post should be the same when not verifying")
+
+  const tampered = b4a.from(post)
+  tampered[tampered.length - 1] ^= 1
+  const copy = b4a.from(tampered)
+  t.notOk(cable.verifyPost(tampered), "tampered post should not verify")
+  t.same(tampered, copy, "failed verification should leave the post unchanged")
+  t.notOk(cable.verifyPost(post.subarray(0, 40)), "truncated post should not verify")
+  t.notOk(cable.verifyPost(post.subarray(0, 5)), "post shorter than a publicKey should not verify")
+  t.notOk(cable.verifyPost(b4a.alloc(0)), "empty buffer should not verify")
+  t.throws(() => cable.parsePost(tampered), /signature/, "tampered post should error when verifying")
+  t.throws(() => TEXT_POST.toJSON(tampered, { verify: true }), /signature/, "tampered post should error when verifying explicitly")
+  t.equal(cable.parsePost(tampered, { verify: false }).text, "hh", "tampered post should decode when not verifying")
+  t.equal(TEXT_POST.toJSON(tampered, { verify: false }).channel, "default", "type-specific decoding should skip verifying")
+  const decoded = cable.parsePost(tampered, { verify: false })
+  t.throws(() => cable.encodePost(decoded), /signature/, "tampered post should error when encoding")
+  t.same(cable.encodePost(decoded, undefined, { verify: false }), tampered, "encoding should skip verifying")
+  t.throws(() => cable.verifyPost("post"), errorPattern, "should error when post is not a buffer")
+  t.end()
+})
+
+// returns a message of msgType with the given payload following its reqid
+function createUnknownMessage (msgType, reqid, payload) {
+  const frame = b4a.concat([b4a.from(varint.encode(msgType)), b4a.alloc(constants.CIRCUITID_SIZE), reqid, payload])
+  return b4a.concat([b4a.from(varint.encode(frame.length)), frame])
+}
+
+// returns a signed post of postType with the given payload following its timestamp
+function createUnknownPost (keypair, links, postType, timestamp, payload) {
+  const body = b4a.concat([
+    b4a.from(varint.encode(links.length)), ...links,
+    b4a.from(varint.encode(postType)), b4a.from(varint.encode(timestamp)), payload
+  ])
+  const buf = b4a.concat([keypair.publicKey, b4a.alloc(constants.SIGNATURE_SIZE), body])
+  crypto.sign(buf, keypair.secretKey)
+  return buf
+}
+
+test("messages of unknown types should decode into opaque objects", t => {
+  const reqid = crypto.generateReqID()
+  const buf = createUnknownMessage(99, reqid, b4a.from("future fields"))
+  const obj = cable.parseMessage(buf)
+  t.equal(obj.msgLen, buf.length - 1, "msgLen should be kept")
+  t.equal(obj.msgType, 99, "msgType should be kept")
+  t.same(obj.circuitid, b4a.alloc(constants.CIRCUITID_SIZE), "circuitid should be kept")
+  t.same(obj.reqid, reqid, "reqid should be kept")
+  t.equal(obj.unknown, true, "object should be marked as unknown")
+  t.same(obj.raw, buf, "raw bytes should be kept")
+  t.same(cable.encodeMessage(obj), buf, "message should be forwarded unchanged")
+  const json = JSON.parse(JSON.stringify(cable.toPortableJSON(obj)))
+  t.same(cable.fromPortableJSON(json), obj, "portable json should restore the opaque object")
+  t.same(cable.parseMessage(POST_REQUEST.create(reqid, 1, [])).unknown, undefined, "known types should not be marked as unknown")
+  t.throws(() => cable.parseMessage(buf.subarray(0, buf.length - 1)), /expected/, "truncated message should error")
+  t.end()
+})
+
+test("posts of unknown types should decode into opaque objects", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(2)
+  const buf = createUnknownPost(keypair, links, 99, 123, b4a.from("future fields"))
+  const obj = cable.parsePost(buf)
+  t.same(obj.publicKey, keypair.publicKey, "publicKey should be kept")
+  t.same(obj.signature, buf.subarray(constants.PUBLICKEY_SIZE, constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE), "signature should be kept")
+  t.same(obj.links, links, "links should be kept")
+  t.equal(obj.postType, 99, "postType should be kept")
+  t.equal(obj.timestamp, 123, "timestamp should be kept")
+  t.equal(obj.unknown, true, "object should be marked as unknown")
+  t.same(obj.raw, buf, "raw bytes should be kept")
+  t.same(cable.encodePost(obj), buf, "post should be forwarded unchanged")
+  const json = JSON.parse(JSON.stringify(cable.toPortableJSON(obj, { encoding: "base64" })))
+  t.same(cable.fromPortableJSON(json, { encoding: "base64" }), obj, "portable json should restore the opaque object")
+
+  const res = POST_RESPONSE.create(crypto.generateReqID(), [buf])
+  const portable = JSON.parse(JSON.stringify(cable.toPortableJSON(cable.parseMessage(res))))
+  t.equal(portable.posts[0].unknown, true, "unknown post in a post response should be opaque")
+  t.same(cable.encodeMessage(cable.fromPortableJSON(portable)), res, "unknown posts should be relayed in post responses")
+
+  const tampered = b4a.from(buf)
+  tampered[tampered.length - 1] ^= 1
+  t.throws(() => cable.parsePost(tampered), /signature/, "signatures of unknown posts should be verified")
+  t.equal(cable.parsePost(tampered, { verify: false }).postType, 99, "unknown posts should decode when not verifying")
+  t.throws(() => cable.encodePost(obj, keypair.secretKey), /unknown post type/, "unknown posts should not be signed anew")
+  t.throws(() => cable.encodePost(Object.assign({}, obj, { postType: 98 })), /expected/, "postType should match the raw bytes")
+  t.end()
+})
+
+test("custom post and message types can be registered", t => {
+  const codec = require("../codec")
+  const field = codec.field
+  const REACTION_POST = codec.post("REACTION_POST", 100, ["publicKey", "secretKey", "links", "timestamp", "emoji"], [
+    field.string("emoji")
+  ])
+  const PING_REQUEST = codec.message("PING_REQUEST", 100, [field.varint("ttl"), field.string("note")])
+  cable.registerPostType(100, REACTION_POST)
+  cable.registerMessageType(100, PING_REQUEST)
+
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const post = REACTION_POST.create(keypair.publicKey, keypair.secretKey, links, 7, "👍")
+  t.equal(cable.peekPost(post), 100, "custom post type should be peeked")
+  const postObj = cable.parsePost(post)
+  t.equal(postObj.emoji, "👍", "custom post should be parsed")
+  t.equal(postObj.unknown, undefined, "custom post should not be opaque")
+  t.same(cable.encodePost(postObj), post, "custom post should be encoded")
+  t.same(cable.fromPortableJSON(cable.toPortableJSON(postObj)), postObj, "custom post should convert to and from portable json")
+
+  const reqid = crypto.generateReqID()
+  const msg = PING_REQUEST.create(reqid, 1, "hello")
+  t.equal(cable.peekMessage(msg), 100, "custom message type should be peeked")
+  const msgObj = cable.parseMessage(msg)
+  t.equal(msgObj.note, "hello", "custom message should be parsed")
+  t.same(cable.encodeMessage(msgObj), msg, "custom message should be encoded")
+
+  const res = POST_RESPONSE.create(reqid, [post])
+  t.equal(cable.toPortableJSON(cable.parseMessage(res)).posts[0].emoji, "👍", "custom post in a post response should be parsed")
+  t.end()
+})
+
+test("registering custom types - wrong parameters", t => {
+  const codec = require("../codec")
+  const field = codec.field
+  const OTHER_POST = codec.post("OTHER_POST", 101, ["publicKey", "secretKey", "links", "timestamp"], [])
+  const collisions = [
+    [() => cable.registerPostType(constants.TEXT_POST, OTHER_POST), "built-in post type"],
+    [() => cable.registerMessageType(constants.POST_REQUEST, codec.message("X", constants.POST_REQUEST, [])), "built-in message type"],
+    [() => cable.registerPostType(102, OTHER_POST), "id differing from the type's schema"],
+    [() => cable.registerPostType(101, {}), "type without methods"],
+    [() => cable.registerPostType(-1, OTHER_POST), "negative id"],
+    [() => cable.registerMessageType("1", codec.message("Y", 1, [field.varint("ttl")])), "non-integer id"]
+  ]
+  collisions.forEach(([fn, description]) => {
+    t.throws(fn, errorPattern, `should error on ${description}`)
+  })
+  cable.registerPostType(101, OTHER_POST)
+  t.throws(() => cable.registerPostType(101, OTHER_POST), errorPattern, "should error on an already registered type")
+  const keypair = crypto.generateKeypair()
+  const join = JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "a", 0)
+  t.equal(cable.parsePost(join).channel, "a", "built-in types should be unaffected")
+  t.end()
+})
+
+// returns buf with its msgLen replaced to match its length after `payload` is appended
+function appendToMessage (buf, payload) {
+  const msgLenBytes = varint.encodingLength(varint.decode(buf))
+  const frame = b4a.concat([buf.subarray(msgLenBytes), payload])
+  return b4a.concat([b4a.from(varint.encode(frame.length)), frame])
+}
+
+test("hardened decoding: valid messages and posts decode the same", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const post = TEXT_POST.create(keypair.publicKey, keypair.secretKey, generateFakeHashes(2), "default", 1, "hi")
+  const messages = [
+    HASH_RESPONSE.create(reqid, generateFakeHashes(3)),
+    POST_RESPONSE.create(reqid, [post]),
+    CHANNEL_LIST_RESPONSE.create(reqid, ["a", "b"]),
+    TIME_RANGE_REQUEST.create(reqid, 1, "default", 0, 100, 20)
+  ]
+  messages.forEach(buf => {
+    t.same(cable.parseMessage(buf, { hardened: true }), cable.parseMessage(buf), `msg type ${cable.peekMessage(buf)} should decode the same`)
+  })
+  t.same(cable.parsePost(post, { hardened: true }), cable.parsePost(post), "post should decode the same")
+  t.equal(cable.DEFAULT_DECODE_LIMITS.maxLinks, constants.DECODE_MAX_LINKS, "default limits should be exported")
+  t.end()
+})
+
+test("hardened decoding: limits", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const post = TEXT_POST.create(keypair.publicKey, keypair.secretKey, generateFakeHashes(3), "default", 1, "hi")
+  const cases = [
+    [() => cable.parseMessage(HASH_RESPONSE.create(reqid, generateFakeHashes(3)), { limits: { maxHashes: 2 } }), "hashes"],
+    [() => cable.parseMessage(POST_REQUEST.create(reqid, 1, generateFakeHashes(3)), { limits: { maxHashes: 2 } }), "hashes of a request"],
+    [() => cable.parsePost(post, { limits: { maxLinks: 2 } }), "links"],
+    [() => cable.parseMessage(POST_RESPONSE.create(reqid, [post, post]), { limits: { maxPosts: 1 } }), "posts"],
+    [() => cable.parseMessage(CHANNEL_LIST_RESPONSE.create(reqid, ["a", "b", "c"]), { limits: { maxChannels: 2 } }), "channels"],
+    [() => cable.parseMessage(HASH_RESPONSE.create(reqid, []), { limits: { maxMessageBytes: 5 } }), "message bytes"]
+  ]
+  cases.forEach(([fn, description]) => {
+    t.throws(fn, err => err instanceof cable.LimitError && err.code === "ERR_LIMIT_EXCEEDED", `should error when exceeding the limit of ${description}`)
+  })
+  t.same(cable.parseMessage(HASH_RESPONSE.create(reqid, generateFakeHashes(2)), { limits: { maxHashes: 2 } }).hashes.length, 2, "should decode when at the limit")
+  t.doesNotThrow(() => cable.parseMessage(HASH_RESPONSE.create(reqid, generateFakeHashes(3)), { limits: { maxHashes: Infinity } }), "should accept Infinity as a limit")
+  t.throws(() => cable.parseMessage(HASH_RESPONSE.create(reqid, []), { limits: { maxHashs: 2 } }), errorPattern, "should error on unknown limits")
+  t.throws(() => cable.parseMessage(HASH_RESPONSE.create(reqid, []), { limits: { maxHashes: -1 } }), errorPattern, "should error on negative limits")
+  t.end()
+})
+
+test("hardened decoding: trailing bytes and unterminated lists", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+
+  const trailing = appendToMessage(HASH_RESPONSE.create(reqid, generateFakeHashes(1)), b4a.from([1, 2]))
+  t.equal(cable.parseMessage(trailing).hashes.length, 1, "trailing bytes should be ignored by default")
+  t.throws(() => cable.parseMessage(trailing, { hardened: true }), err => err.code === "ERR_TRAILING_BYTES", "trailing bytes of a message should be rejected")
+
+  const post = TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 1, "hi")
+  const trailingPost = b4a.concat([post, b4a.from([1])])
+  crypto.sign(trailingPost, keypair.secretKey)
+  t.equal(cable.parsePost(trailingPost).text, "hi", "trailing bytes of a post should be ignored by default")
+  t.throws(() => cable.parsePost(trailingPost, { hardened: true }), err => err.code === "ERR_TRAILING_BYTES", "trailing bytes of a post should be rejected")
+
+  // drop the terminating channelLen = 0
+  const channels = CHANNEL_LIST_RESPONSE.create(reqid, ["a", "b"])
+  const unterminated = appendToMessage(channels.subarray(0, channels.length - 1), b4a.alloc(0))
+  t.same(cable.parseMessage(unterminated).channels, ["a", "b"], "unterminated list should be accepted by default")
+  t.throws(() => cable.parseMessage(unterminated, { hardened: true }), err => err.code === "ERR_TRUNCATED", "unterminated list should be rejected")
+  t.end()
+})
+
+test("lengths should be checked against the remaining bytes", t => {
+  const reqid = crypto.generateReqID()
+  // claim 2^40 hashes while containing one
+  const buf = HASH_RESPONSE.create(reqid, generateFakeHashes(1))
+  const headerLength = 1 + 1 + constants.CIRCUITID_SIZE + constants.REQID_SIZE
+  const hugeCount = appendToMessage(b4a.concat([buf.subarray(0, headerLength), b4a.from(varint.encode(2 ** 40)), buf.subarray(headerLength + 1)]), b4a.alloc(0))
+  t.throws(() => cable.parseMessage(hugeCount), err => err.code === "ERR_TRUNCATED", "should error on a hash count beyond the buffer")
+  t.end()
+})
+
+// returns the varint length prefixed bytes of s, encoded as given (bypassing the normalization done by create())
+function stringPayload (s) {
+  const buf = b4a.isBuffer(s) ? s : b4a.from(s, "utf8")
+  return b4a.concat([b4a.from(varint.encode(buf.length)), buf])
+}
+
+test("names, channels and topics should be limited in codepoints rather than bytes", t => {
+  const keypair = crypto.generateKeypair()
+  const reqid = crypto.generateReqID()
+  const maxName = "日本".repeat(constants.USER_NAME_MAX_CODEPOINTS / 2)
+  const maxChannel = "قناة".repeat(constants.CHANNEL_NAME_MAX_CODEPOINTS / 4)
+  const emojiTopic = "😀".repeat(constants.TOPIC_MAX_CODEPOINTS)
+
+  const info = INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["name", maxName]])
+  t.same(cable.parsePost(info).info, [["name", maxName]], "japanese name of the max amount of codepoints should be accepted")
+  const join = JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], maxChannel, 0)
+  t.equal(cable.parsePost(join).channel, maxChannel, "arabic channel name of the max amount of codepoints should be accepted")
+  const topic = TOPIC_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, emojiTopic)
+  t.equal(cable.parsePost(topic).topic, emojiTopic, "emoji outside of the basic multilingual plane should count as one codepoint")
+  t.same(cable.parseMessage(CHANNEL_LIST_RESPONSE.create(reqid, [maxChannel])).channels, [maxChannel], "channel list should accept the same channel names")
+
+  const err = catchError(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["name", maxName + "語"]]))
+  t.equal(err && err.code, "ERR_FIELD_RANGE", "name above the max amount of codepoints should be rejected")
+  t.ok(err && /was 33$/.test(err.message), "error should report the amount of codepoints")
+  const tooLong = createUnknownPost(keypair, [], constants.JOIN_POST, 0, stringPayload(maxChannel + "ة"))
+  t.equal(catchError(() => cable.parsePost(tooLong)).code, "ERR_FIELD_RANGE", "decoded channel name above the max amount of codepoints should be rejected")
+  t.end()
+})
+
+test("strings should be normalized to NFC by create() and kept as-is by toJSON()", t => {
+  const keypair = crypto.generateKeypair()
+  const decomposed = "cafe\u0301"
+  const join = JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], decomposed, 0)
+  t.equal(cable.parsePost(join).channel, "caf\u00e9", "create() should normalize to NFC")
+  t.equal(cable.parseMessage(CHANNEL_STATE_REQUEST.create(crypto.generateReqID(), 1, decomposed, 0)).channel, "caf\u00e9", "create() of messages should normalize to NFC")
+
+  // a name of 32 decomposed characters is 64 codepoints, but 32 once normalized
+  const name = "e\u0301".repeat(constants.USER_NAME_MAX_CODEPOINTS)
+  const info = createUnknownPost(keypair, [], constants.INFO_POST, 0, b4a.concat([stringPayload("name"), stringPayload(name), stringPayload("")]))
+  const obj = cable.parsePost(info)
+  t.same(obj.info, [["name", name]], "toJSON() should keep the decoded string as it was encoded")
+  t.same(cable.encodePost(obj), info, "re-encoding with the post's signature should reproduce the post")
+  t.end()
+})
+
+test("strings should be valid utf-8", t => {
+  const keypair = crypto.generateKeypair()
+  const invalid = b4a.from([0x64, 0xc3, 0x28])
+  const join = createUnknownPost(keypair, [], constants.JOIN_POST, 0, stringPayload(invalid))
+  const err = catchError(() => cable.parsePost(join))
+  t.ok(err instanceof cable.Utf8Error, "invalid utf-8 should be rejected with a Utf8Error")
+  t.equal(err.code, "ERR_INVALID_UTF8", "error code should be ERR_INVALID_UTF8")
+  t.equal(err.field, "channel", "error should name the field")
+  t.equal(err.offset, constants.PUBLICKEY_SIZE + constants.SIGNATURE_SIZE + 3, "error should report the offset of the field")
+  const text = createUnknownPost(keypair, [], constants.TEXT_POST, 0, b4a.concat([stringPayload("default"), stringPayload(invalid)]))
+  t.equal(catchError(() => cable.parsePost(text)).code, "ERR_INVALID_UTF8", "invalid utf-8 in text should be rejected")
+
+  const loneSurrogate = catchError(() => TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "\ud83d"))
+  t.equal(loneSurrogate && loneSurrogate.code, "ERR_INVALID_UTF8", "create() should reject lone surrogates")
+  t.equal(loneSurrogate && loneSurrogate.field, "text", "error should name the field")
+  t.end()
+})
+
+test("text policy hooks should run when both encoding and decoding", t => {
+  const keypair = crypto.generateKeypair()
+  t.same(cable.getTextPolicy(), { controlCharacters: null, channelWhitespace: null }, "all hooks should be off by default")
+  const withNewline = createUnknownPost(keypair, [], constants.JOIN_POST, 0, stringPayload("a\nb"))
+  const withSpace = createUnknownPost(keypair, [], constants.JOIN_POST, 0, stringPayload(" default"))
+  t.doesNotThrow(() => cable.parsePost(withNewline), "control characters should be accepted by default")
+  t.doesNotThrow(() => cable.parsePost(withSpace), "surrounding whitespace should be accepted by default")
+
+  cable.setTextPolicy({ controlCharacters: cable.rejectControlCharacters, channelWhitespace: cable.rejectSurroundingWhitespace })
+  try {
+    t.throws(() => JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "a\nb", 0), /control characters/, "create() should run controlCharacters")
+    t.throws(() => cable.parsePost(withNewline), /control characters/, "toJSON() should run controlCharacters")
+    t.throws(() => TOPIC_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "a\u0007"), /control characters/, "controlCharacters should apply to topics")
+    t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["name", "a\u0000"]]), /control characters/, "controlCharacters should apply to names")
+    t.doesNotThrow(() => TEXT_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, "line\nbreak"), "controlCharacters should not apply to text")
+    t.throws(() => LEAVE_POST.create(keypair.publicKey, keypair.secretKey, [], "default ", 0), /whitespace/, "create() should run channelWhitespace")
+    const err = catchError(() => cable.parsePost(withSpace))
+    t.equal(err && err.field, "channel", "toJSON() should run channelWhitespace")
+    t.doesNotThrow(() => TOPIC_POST.create(keypair.publicKey, keypair.secretKey, [], "default", 0, " topic "), "channelWhitespace should only apply to channel names")
+
+    const seen = []
+    cable.setTextPolicy({ channelWhitespace: (s, field) => seen.push([s, field]) })
+    JOIN_POST.create(keypair.publicKey, keypair.secretKey, [], "custom", 0)
+    t.same(seen, [["custom", "channel"]], "custom hooks should receive the decoded string and field name")
+    t.equal(cable.getTextPolicy().controlCharacters, cable.rejectControlCharacters, "setting one hook should keep the others")
+
+    t.throws(() => cable.setTextPolicy({ whitespace: null }), errorPattern, "unknown hooks should be rejected")
+    t.throws(() => cable.setTextPolicy({ controlCharacters: true }), errorPattern, "hooks should be functions or null")
+  } finally {
+    cable.setTextPolicy({ controlCharacters: null, channelWhitespace: null })
+  }
+  t.end()
+})
+
+test("post/info should hold several [key, value] pairs", t => {
+  const keypair = crypto.generateKeypair()
+  const links = generateFakeHashes(1)
+  const info = [["name", "cabler"], ["bio", "hello"], ["status", ""]]
+  const buf = INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, info)
+  t.same(cable.parsePost(buf).info, info, "all pairs should be decoded in order")
+  t.same(cable.parsePost(buf, { hardened: true }).info, info, "pairs should be terminated by a key length of 0")
+  t.same(cable.parsePost(INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [])).info, [], "no pairs should be allowed")
+
+  const duplicate = catchError(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["bio", "a"], ["bio", "b"]]))
+  t.equal(duplicate && duplicate.code, "ERR_FIELD_RANGE", "duplicate keys should be rejected by create()")
+  t.equal(duplicate && duplicate.field, "info", "error should name the field")
+  t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["caf\u00e9", "a"], ["cafe\u0301", "b"]]), /unique/, "canonically equivalent keys should be duplicates")
+  const decodedDuplicate = createUnknownPost(keypair, links, constants.INFO_POST, 0, b4a.concat([
+    stringPayload("bio"), stringPayload("a"), stringPayload("bio"), stringPayload("b"), stringPayload("")
+  ]))
+  t.throws(() => cable.parsePost(decodedDuplicate), /unique/, "duplicate keys should be rejected by toJSON()")
+
+  const longName = "n".repeat(constants.USER_NAME_MAX_CODEPOINTS + 1)
+  t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["bio", "hi"], ["name", longName]]), /codepoints/, "name should be validated as a username in any position")
+  t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["bio", "hi"], ["", "x"]]), /codepoints/, "every key should be validated")
+  t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, [["name"]]), errorPattern, "pairs should have a key and a value")
+  t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, links, 0, "name", "cabler"), errorPattern, "a single key and value should not be accepted")
+
+  // drop the terminating key length of 0
+  const unterminated = createUnknownPost(keypair, links, constants.INFO_POST, 0, b4a.concat([stringPayload("bio"), stringPayload("a")]))
+  t.same(cable.parsePost(unterminated).info, [["bio", "a"]], "unterminated pairs should be accepted by default")
+  t.throws(() => cable.parsePost(unterminated, { hardened: true }), err => err.code === "ERR_TRUNCATED", "unterminated pairs should be rejected when hardened")
+  t.end()
+})
+
+test("info keys: well-known keys should be validated and parsed", t => {
+  const keypair = crypto.generateKeypair()
+  t.ok(cable.isInfoKeyRegistered("name") && cable.isInfoKeyRegistered("accept-role"), "name and accept-role should be registered")
+  t.notOk(cable.isInfoKeyRegistered("bio"), "other keys should not be registered")
+
+  const buf = INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["name", "cabler"], ["accept-role", "0"], ["bio", "hi"]])
+  t.same(cable.parseInfo(cable.parsePost(buf).info), { name: "cabler", "accept-role": false, bio: "hi" }, "values should be parsed by their key")
+  t.same(cable.parseInfo([["accept-role", "1"]]), { "accept-role": true }, "accept-role 1 should be true")
+  t.same(Object.keys(cable.parseInfo([["__proto__", "x"]])), ["__proto__"], "any key should become an own property")
+
+  const err = catchError(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["accept-role", "yes"]]))
+  t.equal(err && err.code, "ERR_FIELD_RANGE", "create() should reject an invalid accept-role")
+  const decoded = createUnknownPost(keypair, [], constants.INFO_POST, 0, b4a.concat([stringPayload("accept-role"), stringPayload("2"), stringPayload("")]))
+  t.throws(() => cable.parsePost(decoded), /accept-role/, "toJSON() should reject an invalid accept-role")
+  t.throws(() => cable.parseInfo("name"), errorPattern, "parseInfo should take an array")
+  t.end()
+})
+
+test("info keys: extension keys can be registered", t => {
+  const keypair = crypto.generateKeypair()
+  cable.registerInfoKey("x-pronouns-test", {
+    check: value => { if (!value.includes("/")) { throw new cable.FieldRangeError("expected pronouns to contain a /") } },
+    parse: value => value.split("/")
+  })
+  t.throws(() => INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["x-pronouns-test", "they"]]), /expected pronouns/, "check should run when encoding")
+  const buf = INFO_POST.create(keypair.publicKey, keypair.secretKey, [], 0, [["x-pronouns-test", "they/them"]])
+  t.same(cable.parseInfo(cable.parsePost(buf).info), { "x-pronouns-test": ["they", "them"] }, "parse should produce the typed value")
+  cable.registerInfoKey("x-untyped-test")
+  t.same(cable.parseInfo([["x-untyped-test", "v"]]), { "x-untyped-test": "v" }, "keys without parse should be plain strings")
+
+  t.throws(() => cable.registerInfoKey("name", {}), errorPattern, "registered keys should not be registered again")
+  t.throws(() => cable.registerInfoKey("", {}), errorPattern, "keys should be valid info keys")
+  t.throws(() => cable.registerInfoKey("cafe\u0301", {}), errorPattern, "keys should be normalized to NFC")
+  t.throws(() => cable.registerInfoKey("x-bad-test", { check: true }), errorPattern, "check should be a function")
+  t.end()
+})
+
+test("info keys: profiles should resolve to the latest post/info of each user", t => {
+  const alice = crypto.generateKeypair()
+  const bob = crypto.generateKeypair()
+  const posts = [
+    INFO_POST.create(alice.publicKey, alice.secretKey, [], 10, [["name", "alice"], ["bio", "hi"]]),
+    INFO_POST.create(alice.publicKey, alice.secretKey, [], 20, [["name", "alice2"], ["accept-role", "1"]]),
+    INFO_POST.create(alice.publicKey, alice.secretKey, [], 15, [["name", "alice1"]]),
+    INFO_POST.create(bob.publicKey, bob.secretKey, [], 5, [["name", "bob"]]),
+    JOIN_POST.create(bob.publicKey, bob.secretKey, [], "default", 30)
+  ].map(buf => cable.parsePost(buf))
+
+  const profile = cable.resolveProfile(posts, alice.publicKey)
+  t.same(profile.publicKey, alice.publicKey, "profile should have the user's public key")
+  t.equal(profile.timestamp, 20, "profile should be that of the latest post/info")
+  t.same(profile.info, { name: "alice2", "accept-role": true }, "keys missing from the latest post/info should not be set")
+  t.equal(cable.resolveProfile(posts, crypto.generateKeypair().publicKey), null, "users without a post/info should have no profile")
+
+  const profiles = cable.resolveProfiles(posts)
+  t.same([...profiles.keys()].sort(), [alice, bob].map(kp => b4a.toString(kp.publicKey, "hex")).sort(), "every user with a post/info should have a profile")
+  t.same(profiles.get(b4a.toString(bob.publicKey, "hex")).info, { name: "bob" }, "other post types should be skipped")
+
+  // posts with the same timestamp resolve the same way regardless of their order
+  const tied = [
+    INFO_POST.create(bob.publicKey, bob.secretKey, [], 40, [["name", "one"]]),
+    INFO_POST.create(bob.publicKey, bob.secretKey, [], 40, [["name", "two"]])
+  ].map(buf => cable.parsePost(buf))
+  t.same(cable.resolveProfile(tied, bob.publicKey), cable.resolveProfile(tied.slice().reverse(), bob.publicKey), "ties should be broken deterministically")
+  t.end()
+})
@@ -0,0 +1,59 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+const test = require("tape")
+const b4a = require("b4a")
+const cable = require("../index")
+const vectors = require("./vectors.json")
+const { generateVectors } = require("../generate-vectors")
+
+function parse (kind, buf) {
+  return kind === "post" ? cable.parsePost(buf) : cable.parseMessage(buf)
+}
+
+test("vectors: are up to date with generate-vectors.js", t => {
+  t.same(generateVectors(), vectors, "regenerating the vectors should not change them (run node generate-vectors.js)")
+  t.end()
+})
+
+test("vectors: valid binaries decode into their fields", t => {
+  vectors.valid.forEach(vector => {
+    const buf = b4a.from(vector.binary, "hex")
+    t.same(cable.toPortableJSON(parse(vector.kind, buf)), vector.obj, `${vector.name} should decode`)
+    t.same(cable.toPortableJSON(cable[vector.type].toJSON(buf)), vector.obj, `${vector.name} should decode as ${vector.type}`)
+  })
+  t.end()
+})
+
+test("vectors: valid fields encode into their binaries", t => {
+  vectors.valid.forEach(vector => {
+    const buf = b4a.from(vector.binary, "hex")
+    const obj = cable.fromPortableJSON(vector.obj)
+    if (vector.kind === "message") {
+      t.same(cable.encodeMessage(obj), buf, `${vector.name} should encode`)
+      return
+    }
+    const secretKey = b4a.from(vectors.keypairs[vector.keypair].secretKey, "hex")
+    t.same(cable.encodePost(obj, secretKey), buf, `${vector.name} should encode and sign`)
+    t.same(cable.encodePost(obj), buf, `${vector.name} should encode with its signature`)
+  })
+  t.end()
+})
+
+test("vectors: invalid binaries fail to decode with their error codes", t => {
+  vectors.invalid.forEach(vector => {
+    const buf = b4a.from(vector.binary, "hex")
+    try {
+      if (vector.decodeAs) {
+        cable[vector.decodeAs].toJSON(buf)
+      } else {
+        parse(vector.kind, buf)
+      }
+      t.fail(`${vector.name} should fail to decode`)
+    } catch (err) {
+      t.equal(err.code, vector.error, `${vector.name} should fail with ${vector.error}`)
+    }
+  })
+  t.end()
+})
@@ -0,0 +1,92 @@
+// SPDX-FileCopyrightText: 2023 the cabal-club authors
+//
+// SPDX-License-Identifier: LGPL-3.0-or-later
+
+// unicode handling of string fields: strict utf-8 decoding, codepoint counting and the text policy, which holds
+// optional checks of names, channels and topics beyond those required by the cable spec
+const { InvalidArgumentError, FieldRangeError, Utf8Error } = require("./errors.js")
+
+// throws on invalid utf-8 instead of replacing it with U+FFFD, and keeps a leading byte order mark
+const utf8Decoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true })
+
+// decodes buf as utf-8, throwing a Utf8Error if it is not valid utf-8
+function decodeUtf8 (buf) {
+  try {
+    return utf8Decoder.decode(buf)
+  } catch (err) {
+    throw new Utf8Error("expected string to be valid utf-8")
+  }
+}
+
+// lone surrogates cannot be encoded as utf-8 (they would silently become U+FFFD)
+const LONE_SURROGATE = /\p{Surrogate}/u
+
+function isWellFormed (s) {
+  return !LONE_SURROGATE.test(s)
+}
+
+// the length of s in codepoints, once normalized to NFC: canonically equivalent strings have the same length no
+// matter how they were composed
+function codepointLength (s) {
+  return Array.from(s.normalize("NFC")).length
+}
+
+// a policy hook takes the decoded value of a field and the field's name, and throws if the value is not acceptable.
+// hooks are run when both encoding and decoding, after the checks required by the spec
+const CONTROL_CHARACTER = /\p{Cc}/u
+function rejectControlCharacters (s, field) {
+  if (CONTROL_CHARACTER.test(s)) {
+    throw new FieldRangeError(`expected ${field} to not contain control characters`, { field })
+  }
+}
+
+const SURROUNDING_WHITESPACE = /^\s|\s$/u
+function rejectSurroundingWhitespace (s, field) {
+  if (SURROUNDING_WHITESPACE.test(s)) {
+    throw new FieldRangeError(`expected ${field} to not begin or end with whitespace`, { field })
+  }
+}
+
+// the hooks of the text policy, all of which are off (null) by default:
+// * controlCharacters: run on user names, channel names, topics and info keys
+// * channelWhitespace: run on channel names
+const policy = {
+  controlCharacters: null,
+  channelWhitespace: null
+}
+
+// sets the hooks named in opts (e.g. { controlCharacters: rejectControlCharacters }), leaving the others as they are.
+// pass null to turn a hook off. the policy applies to every type, including those registered with registerPostType
+function setTextPolicy (opts) {
+  if (!opts || typeof opts !== "object") { throw new InvalidArgumentError("expected text policy to be an object") }
+  Object.keys(opts).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(policy, key)) {
+      throw new InvalidArgumentError(`expected text policy to be one of ${Object.keys(policy).join(", ")}; was ${key}`, { field: key })
+    }
+    if (opts[key] !== null && typeof opts[key] !== "function") {
+      throw new InvalidArgumentError(`expected text policy ${key} to be a function or null`, { field: key })
+    }
+  })
+  Object.assign(policy, opts)
+}
+
+// returns a copy of the current text policy
+function getTextPolicy () {
+  return Object.assign({}, policy)
+}
+
+// runs the hook named `hook`, if set, on s
+function applyPolicy (hook, s, field) {
+  if (policy[hook]) { policy[hook](s, field) }
+}
+
+module.exports = {
+  decodeUtf8,
+  isWellFormed,
+  codepointLength,
+  rejectControlCharacters,
+  rejectSurroundingWhitespace,
+  setTextPolicy,
+  getTextPolicy,
+  applyPolicy
+}
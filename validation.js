@@ -5,13 +5,8 @@
 const b4a = require("b4a")
 const crypto = require("./cryptography.js")
 const constants = require("./constants.js")
-
-function isBufferSizeMin(b, MIN_SIZE) {
-  if (b4a.isBuffer(b)) {
-    return b.length >= MIN_SIZE
-  }
-  return false
-}
+const text = require("./text.js")
+const { FieldRangeError, SignatureError } = require("./errors.js")
 
 function isBufferSizeMax(b, MAX_SIZE) {
   if (b4a.isBuffer(b)) {
@@ -20,44 +15,59 @@ function isBufferSizeMax(b, MAX_SIZE) {
   return false
 }
 
-function codepointRangeExpected (param, min, max, actual) {
-  return new Error(`expected ${param} to be between ${min} and ${max} codepoints; was ${actual}`)
+// `field` is the name of the field holding the value, if different from param
+function bufferExpectedMax (param, max, actual, field) {
+  return new FieldRangeError(`expected ${param} to be a buffer of at most ${max} bytes; was ${actual}`, { field: field || param })
+}
+
+function codepointRangeExpected (param, min, max, actual, field) {
+  return new FieldRangeError(`expected ${param} to be between ${min} and ${max} codepoints; was ${actual}`, { field: field || param })
+}
+
+// checks that the utf-8 string in buf is between min and max codepoints long (counted once normalized to NFC), and
+// returns the string
+function checkCodepoints (buf, param, min, max, field) {
+  const s = text.decodeUtf8(buf)
+  const length = text.codepointLength(s)
+  if (length < min || length > max) { throw codepointRangeExpected(param, min, max, length, field) }
+  return s
 }
 
 function checkChannelName (channelBuf) {
-  const correctlySized = isBufferSizeMin(channelBuf, constants.CHANNEL_NAME_MIN_CODEPOINTS) && isBufferSizeMax(channelBuf, constants.CHANNEL_NAME_MAX_CODEPOINTS)
-  if (!correctlySized) { throw codepointRangeExpected("channel", constants.TOPIC_MIN_CODEPOINTS, constants.TOPIC_MAX_CODEPOINTS, channelBuf.length) }
+  const channel = checkCodepoints(channelBuf, "channel", constants.CHANNEL_NAME_MIN_CODEPOINTS, constants.CHANNEL_NAME_MAX_CODEPOINTS)
+  text.applyPolicy("controlCharacters", channel, "channel")
+  text.applyPolicy("channelWhitespace", channel, "channel")
 }
 
 function checkTopic(topicBuf) {
-  const correctlySized = isBufferSizeMin(topicBuf, constants.TOPIC_MIN_CODEPOINTS) && isBufferSizeMax(topicBuf, constants.TOPIC_MAX_CODEPOINTS)
-  if (!correctlySized) { throw codepointRangeExpected("topic", constants.TOPIC_MIN_CODEPOINTS, constants.TOPIC_MAX_CODEPOINTS, topicBuf.length) }
+  const topic = checkCodepoints(topicBuf, "topic", constants.TOPIC_MIN_CODEPOINTS, constants.TOPIC_MAX_CODEPOINTS)
+  text.applyPolicy("controlCharacters", topic, "topic")
 }
 
 function checkUsername(valueBuf) {
-  const correctlySized = isBufferSizeMin(valueBuf, constants.USER_NAME_MIN_CODEPOINTS) && isBufferSizeMax(valueBuf, constants.USER_NAME_MAX_CODEPOINTS)
-  if (!correctlySized) { throw codepointRangeExpected("name", constants.USER_NAME_MIN_CODEPOINTS, constants.USER_NAME_MAX_CODEPOINTS, valueBuf.length) }
+  const name = checkCodepoints(valueBuf, "name", constants.USER_NAME_MIN_CODEPOINTS, constants.USER_NAME_MAX_CODEPOINTS, "value")
+  text.applyPolicy("controlCharacters", name, "value")
 }
 
 function checkInfoValue (valueBuf) {
   const correctlySized = isBufferSizeMax(valueBuf, constants.INFO_VALUE_MAX_BYTES)
-  if (!correctlySized) { throw new bufferExpectedMax("value", constants.INFO_VALUE_MAX_BYTES, textBuf.len) }
+  if (!correctlySized) { throw bufferExpectedMax("value", constants.INFO_VALUE_MAX_BYTES, valueBuf.length) }
 }
 
 function checkInfoKey(keyBuf) {
-  const correctlySized = isBufferSizeMin(keyBuf, constants.INFO_KEY_MIN_CODEPOINTS) && isBufferSizeMax(keyBuf, constants.INFO_KEY_MAX_CODEPOINTS)
-  if (!correctlySized) { throw codepointRangeExpected("key", constants.INFO_KEY_MIN_CODEPOINTS, constants.INFO_KEY_MAX_CODEPOINTS, keyBuf.length) }
+  const key = checkCodepoints(keyBuf, "key", constants.INFO_KEY_MIN_CODEPOINTS, constants.INFO_KEY_MAX_CODEPOINTS)
+  text.applyPolicy("controlCharacters", key, "key")
 }
 
 function checkPostText(textBuf) {
   const correctlySized = isBufferSizeMax(textBuf, constants.POST_TEXT_MAX_BYTES)
-  if (!correctlySized) { throw new bufferExpectedMax("text", constants.POST_TEXT_MAX_BYTES, textBuf.len) }
+  if (!correctlySized) { throw bufferExpectedMax("text", constants.POST_TEXT_MAX_BYTES, textBuf.length) }
 }
 
 function checkSignature (message, publicKey) {
   const signatureCorrect = crypto.verify(message, publicKey)
   if (!signatureCorrect) { 
-    throw new Error("could not verify signature created with keypair publicKey + secretKey") 
+    throw new SignatureError("could not verify signature created with keypair publicKey + secretKey", { field: "signature" }) 
   }
 }
 